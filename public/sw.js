@@ -0,0 +1,46 @@
+/**
+ * Service Worker
+ *
+ * Handles clicks on reminder notifications (see src/lib/notifications.js):
+ * the action is sent to an open app window, or the app is opened with the
+ * action in its URL (opening an item links straight to it).
+ */
+
+const ACTION_MESSAGE = 'reminder-action';
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const { itemId, refCode } = event.notification.data || {};
+  event.notification.close();
+
+  const [action, option] = event.action ? event.action.split(':') : ['open'];
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const client = windows[0];
+
+      if (client) {
+        if (itemId) {
+          client.postMessage({ type: ACTION_MESSAGE, action, itemId, refCode, option });
+        }
+        return action === 'open' ? client.focus() : undefined;
+      }
+
+      if (action === 'open' && refCode) {
+        return self.clients.openWindow(`${self.registration.scope}item/${encodeURIComponent(refCode)}`);
+      }
+
+      const params = itemId
+        ? `?${new URLSearchParams({ reminder: itemId, action: option ? `${action}:${option}` : action })}`
+        : '';
+      return self.clients.openWindow(`${self.registration.scope}${params}`);
+    })
+  );
+});
@@ -2,48 +2,147 @@
  * Brightly OS - App Root
  * 
  * Personal work operating system with three-area layout:
- * - Command Area: Header with menu and logo
+ * - Command Area: Header with menu and logo (plus a Ctrl+K command palette)
  * - Item Board: Waiting and In Progress boards with Current box
+ *   (or the Done archive, or the Trash)
  * - Details Panel: Full item details
+ *
+ * The selected item and filters are mirrored in the URL (see lib/routing).
  */
 
 import { useState, useCallback, useMemo } from 'react';
 import { useItems } from './hooks/useItems';
 import { useZones } from './hooks/useZones';
+import { useHotkeys } from './hooks/useHotkeys';
+import { useItemEvents } from './hooks/useItemEvents';
+import { useFocusSessions } from './hooks/useFocusSessions';
+import { useInterruptions } from './hooks/useInterruptions';
+import { useDoneItems } from './hooks/useDoneItems';
+import { useTrash } from './hooks/useTrash';
+import { useReminders } from './hooks/useReminders';
+import { useEscalation } from './hooks/useEscalation';
+import { useNow } from './hooks/useNow';
+import { useRoute } from './hooks/useRoute';
 import { CommandArea } from './components/CommandArea';
 import { ItemBoard } from './components/ItemBoard';
 import { DetailsPanel } from './components/DetailsPanel';
+import { DoneArchive } from './components/DoneArchive';
+import { TrashView } from './components/TrashView';
+import { ZoneManager } from './components/ZoneManager';
+import { ZonePicker } from './components/ZonePicker';
+import { BatchAddForm } from './components/BatchAddForm';
+import { CommandPalette } from './components/CommandPalette';
+import { Toast } from './components/Toast';
+import { STATUSES, fetchItemByRef } from './lib/items';
+import { findInterrupted } from './lib/interruptions';
+import { matchesZoneFilter } from './lib/zones';
+import { parseSearchQuery, matchesSearch } from './lib/search';
+import { subtaskProgress } from './lib/subtasks';
+import { snoozeUntil, reminderTime } from './lib/reminders';
+import { isOverdue } from './lib/escalation';
 
 export default function App() {
   const [selectedItemId, setSelectedItemId] = useState(null);
   const [selectedZoneIds, setSelectedZoneIds] = useState([]);
+  const [zoneMatch, setZoneMatch] = useState('any'); // items in 'any' or 'all' selected zones
   const [selectedCategoryIds, setSelectedCategoryIds] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
   const [showAddModal, setShowAddModal] = useState(false);
   const [addModalMode, setAddModalMode] = useState('full'); // 'fast' or 'full'
+  const [resumeOffer, setResumeOffer] = useState(null); // {id, item} after finishing an interruption
+  const [view, setView] = useState('board'); // 'board', 'done' or 'trash'
+  const [showZoneManager, setShowZoneManager] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
 
   // Zones state
-  const { zones, loading: zonesLoading } = useZones();
+  const {
+    zones,
+    loading: zonesLoading,
+    error: zonesError,
+    add: addZone,
+    update: updateZone,
+    move: moveZone,
+    nest: nestZone,
+    merge: mergeZones,
+    remove: removeZone,
+    clearError: clearZonesError,
+  } = useZones();
 
   // Items state (excluding done by default)
   const {
     items,
+    currentItem,
     loading: itemsLoading,
     error: itemsError,
     changeStatus,
     reorder,
     update,
+    reopen,
+    remove,
+    undelete,
+    escalate,
     add,
+    addMany,
     reload,
+    sync,
+    syncStatus,
+    pendingCount,
+    undo,
+    redo,
+    lastAction,
   } = useItems({ includeDone: false });
 
-  // Filter items based on selected zones and categories
+  // Completed items, loaded while the Done archive is open
+  const {
+    items: doneItems,
+    loading: doneLoading,
+    error: doneError,
+  } = useDoneItems({ enabled: view === 'done' });
+
+  // Deleted items, loaded while the Trash is open (expired ones are purged on start)
+  const {
+    items: deletedItems,
+    loading: trashLoading,
+    error: trashError,
+    purge,
+    purgeAll,
+  } = useTrash({ enabled: view === 'trash' });
+
+  // Items restored on this board drop out before the server confirms
+  const trashItems = useMemo(
+    () => deletedItems.filter(deleted => !items.some(item => item.id === deleted.id)),
+    [deletedItems, items]
+  );
+
+  // Open interruptions, to return to the interrupted item when done
+  const { stack: interruptionStack } = useInterruptions();
+
+  // Undo/redo shortcuts
+  useHotkeys({
+    'mod+z': undo,
+    'mod+shift+z': redo,
+    'mod+y': redo,
+  });
+
+  // Command palette, also from inside a field
+  useHotkeys({
+    'mod+k': () => setShowPalette(open => !open),
+  }, { allowInInputs: true });
+
+  // Parsed search box query (words and operators)
+  const search = useMemo(() => parseSearchQuery(searchQuery), [searchQuery]);
+
+  // Filter items based on the search, selected zones and categories
   const filteredItems = useMemo(() => {
     return items.filter(item => {
-      // Zone filter (if any zones selected)
-      if (selectedZoneIds.length > 0) {
-        if (!item.zone_id || !selectedZoneIds.includes(item.zone_id)) {
-          return false;
-        }
+      // Search (title, notes, ref code and operators)
+      if (!matchesSearch(item, search, zones)) {
+        return false;
+      }
+
+      // Zone filter (a zone includes its sub-zones)
+      if (!matchesZoneFilter(item, selectedZoneIds, zones, zoneMatch)) {
+        return false;
       }
       
       // Category filter (if any categories selected)
@@ -55,26 +154,182 @@ export default function App() {
       
       return true;
     });
-  }, [items, selectedZoneIds, selectedCategoryIds]);
+  }, [items, zones, search, selectedZoneIds, zoneMatch, selectedCategoryIds]);
+
+  // Find selected item from current items (or the archive)
+  const selectedItem = items.find(item => item.id === selectedItemId) ||
+    (view === 'done' && doneItems.find(item => item.id === selectedItemId)) ||
+    (view === 'trash' && trashItems.find(item => item.id === selectedItemId)) ||
+    null;
+
+  // Route for the URL; null while the selected item's archive is still loading
+  const selectionLoading = Boolean(selectedItemId) && !selectedItem &&
+    ((view === 'done' && doneLoading) || (view === 'trash' && trashLoading));
+  const route = useMemo(() => selectionLoading ? null : {
+    refCode: selectedItem?.ref_code ?? null,
+    zoneIds: selectedZoneIds,
+    categoryIds: selectedCategoryIds,
+  }, [selectionLoading, selectedItem, selectedZoneIds, selectedCategoryIds]);
+
+  // Handle a route from the URL (on start and on back/forward)
+  // Items that aren't on the board open in the Done archive or the Trash
+  const handleNavigate = useCallback(async ({ refCode, zoneIds, categoryIds }) => {
+    setSelectedZoneIds(zoneIds.filter(id => zones.some(zone => zone.id === id)));
+    setSelectedCategoryIds(categoryIds);
+
+    if (!refCode) {
+      setSelectedItemId(null);
+      return;
+    }
+
+    const loaded = items.find(item => item.ref_code === refCode);
+    if (loaded) {
+      setSelectedItemId(loaded.id);
+      return;
+    }
+
+    const { data } = await fetchItemByRef(refCode);
+    if (data?.deleted_at) {
+      setView('trash');
+    } else if (data?.status === STATUSES.DONE) {
+      setView('done');
+    }
+    setSelectedItemId(data?.id ?? null);
+  }, [items, zones]);
+
+  const { navigateTo } = useRoute({
+    ready: !itemsLoading && !zonesLoading,
+    route,
+    onNavigate: handleNavigate,
+  });
 
-  // Find selected item from current items
-  const selectedItem = items.find(item => item.id === selectedItemId) || null;
+  // History of the selected item
+  const { events: selectedItemEvents } = useItemEvents(selectedItem?.id ?? null);
+
+  // Focus sessions for the live timer and the selected item's total
+  const { sessions: currentFocusSessions } = useFocusSessions(currentItem?.id ?? null);
+  const { sessions: selectedFocusSessions } = useFocusSessions(selectedItem?.id ?? null);
+
+  // Item the current item interrupted, if any
+  const interruptedItem = currentItem
+    ? items.find(item => item.id === findInterrupted(interruptionStack, currentItem.id)?.item_id) || null
+    : null;
 
   // Handle item click
   const handleItemClick = useCallback((item) => {
     setSelectedItemId(item.id);
   }, []);
 
+  // Handle opening an item from a reminder notification
+  // Goes through the URL, so it also works before the items have loaded
+  const handleOpenItem = useCallback((id, refCode) => {
+    setView('board');
+    if (refCode) {
+      navigateTo({ refCode });
+    } else {
+      setSelectedItemId(id);
+    }
+  }, [navigateTo]);
+
+  // Handle snoozing a reminder
+  const handleSnooze = useCallback(async (id, option) => {
+    await update(id, { snoozed_until: snoozeUntil(option, Date.now()) });
+  }, [update]);
+
+  // Reminder notifications for items with a due date
+  const {
+    permission: notificationPermission,
+    enable: enableNotifications,
+  } = useReminders(items, { onOpen: handleOpenItem, onSnooze: handleSnooze });
+
+  // Overdue items are escalated once, and counted in the header
+  useEscalation(items, escalate);
+
+  const now = useNow(60000);
+  const overdueItems = useMemo(() => items
+    .filter(item => isOverdue(item, now))
+    .sort((a, b) => reminderTime(a) - reminderTime(b)),
+  [items, now]);
+
+  // Handle jumping to the most overdue item
+  const handleOverdueClick = useCallback(() => {
+    if (overdueItems.length === 0) return;
+    setView('board');
+    setSelectedItemId(overdueItems[0].id);
+  }, [overdueItems]);
+
   // Handle status change
-  const handleStatusChange = useCallback(async (id, newStatus) => {
-    await changeStatus(id, newStatus);
-  }, [changeStatus]);
+  // Finishing an item with open subtasks asks first
+  // Finishing an interruption offers to resume the item it interrupted
+  const handleStatusChange = useCallback(async (id, newStatus, options) => {
+    if (newStatus === STATUSES.DONE) {
+      const item = items.find(i => i.id === id);
+      const { done, total } = item ? subtaskProgress(item) : { done: 0, total: 0 };
+      const open = total - done;
+      if (open > 0 && !window.confirm(`"${item.title}" has ${open} open subtask${open === 1 ? '' : 's'}. Mark it done anyway?`)) {
+        return;
+      }
+
+      const entry = findInterrupted(interruptionStack, id);
+      const interrupted = items.find(item => item.id === entry?.item_id);
+      if (interrupted && interrupted.status !== STATUSES.CURRENT) {
+        setResumeOffer({ id: entry.id, item: interrupted });
+      }
+    }
+
+    await changeStatus(id, newStatus, options);
+  }, [changeStatus, interruptionStack, items]);
+
+  // Handle resuming an interrupted item
+  const handleResume = useCallback(async () => {
+    if (resumeOffer) {
+      await changeStatus(resumeOffer.item.id, STATUSES.CURRENT);
+    }
+  }, [changeStatus, resumeOffer]);
+
+  const handleResumeDismiss = useCallback(() => {
+    setResumeOffer(null);
+  }, []);
 
   // Handle item reorder
-  const handleItemReorder = useCallback(async (newOrder) => {
-    await reorder(newOrder);
+  const handleItemReorder = useCallback(async (newOrder, movedId) => {
+    await reorder(newOrder, movedId);
   }, [reorder]);
 
+  // Handle restoring a done item from the archive
+  const handleRestore = useCallback(async (item, status) => {
+    await reopen(item, status);
+  }, [reopen]);
+
+  // Handle moving an item to the trash
+  const handleDelete = useCallback(async (id) => {
+    await remove(id);
+  }, [remove]);
+
+  // Handle restoring an item from the trash
+  const handleUndelete = useCallback(async (item) => {
+    await undelete(item);
+  }, [undelete]);
+
+  // Handle merging zones: keep filtering on the zone that remains
+  const handleMergeZones = useCallback(async (sourceId, targetId) => {
+    const merged = await mergeZones(sourceId, targetId);
+    if (merged) {
+      setSelectedZoneIds(ids => ids.includes(sourceId)
+        ? [...new Set(ids.map(id => id === sourceId ? targetId : id))]
+        : ids
+      );
+    }
+  }, [mergeZones]);
+
+  // Handle deleting a zone: stop filtering on it
+  const handleRemoveZone = useCallback(async (zoneId) => {
+    const removed = await removeZone(zoneId);
+    if (removed) {
+      setSelectedZoneIds(ids => ids.filter(id => id !== zoneId));
+    }
+  }, [removeZone]);
+
   // Handle item update from details panel
   const handleItemUpdate = useCallback(async (id, updates) => {
     await update(id, updates);
@@ -93,13 +348,26 @@ export default function App() {
   }, []);
 
   // Handle add item
-  const handleAddItem = useCallback(async (itemData) => {
+  // Fast Add's !now makes the new item current right away
+  const handleAddItem = useCallback(async (itemData, { makeCurrent = false } = {}) => {
     const newItem = await add(itemData);
     if (newItem) {
       setShowAddModal(false);
       setSelectedItemId(newItem.id);
+      if (makeCurrent) {
+        await changeStatus(newItem.id, STATUSES.CURRENT);
+      }
+    }
+  }, [add, changeStatus]);
+
+  // Handle adding a pasted list
+  const handleAddItems = useCallback(async (itemsData) => {
+    const newItems = await addMany(itemsData);
+    if (newItems) {
+      setShowAddModal(false);
+      setSelectedItemId(newItems[0]?.id ?? null);
     }
-  }, [add]);
+  }, [addMany]);
 
   // Loading state
   if (itemsLoading || zonesLoading) {
@@ -136,6 +404,9 @@ export default function App() {
           onCategoryFilterChange={setSelectedCategoryIds}
           onAddClick={handleAddClick}
           onFastAddClick={handleFastAddClick}
+          syncStatus={syncStatus}
+          pendingCount={pendingCount}
+          onRetrySync={sync}
         />
         <div className="item-board-area" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#ef4444' }}>
           Error: {itemsError}
@@ -154,33 +425,146 @@ export default function App() {
         selectedZoneIds={selectedZoneIds}
         selectedCategoryIds={selectedCategoryIds}
         onZoneFilterChange={setSelectedZoneIds}
+        zoneMatch={zoneMatch}
+        onZoneMatchChange={setZoneMatch}
         onCategoryFilterChange={setSelectedCategoryIds}
         onAddClick={handleAddClick}
         onFastAddClick={handleFastAddClick}
+        searchQuery={searchQuery}
+        onSearchChange={setSearchQuery}
+        onManageZonesClick={() => setShowZoneManager(true)}
+        onPaletteClick={() => setShowPalette(true)}
+        view={view}
+        onViewChange={setView}
+        syncStatus={syncStatus}
+        pendingCount={pendingCount}
+        onRetrySync={sync}
+        notificationPermission={notificationPermission}
+        onEnableNotifications={enableNotifications}
+        overdueCount={overdueItems.length}
+        onOverdueClick={handleOverdueClick}
       />
       
-      <ItemBoard
-        items={filteredItems}
-        zones={zones}
-        selectedItemId={selectedItemId}
-        onItemClick={handleItemClick}
-        onStatusChange={handleStatusChange}
-        onItemReorder={handleItemReorder}
-      />
+      {view === 'trash' && (
+        <TrashView
+          items={trashItems}
+          loading={trashLoading}
+          error={trashError}
+          selectedItemId={selectedItemId}
+          onItemClick={handleItemClick}
+          onRestore={handleUndelete}
+          onPurge={purge}
+          onPurgeAll={purgeAll}
+          onClose={() => setView('board')}
+        />
+      )}
+
+      {view === 'done' && (
+        <DoneArchive
+          doneItems={doneItems}
+          loading={doneLoading}
+          error={doneError}
+          boardItems={items}
+          zones={zones}
+          selectedItemId={selectedItemId}
+          onItemClick={handleItemClick}
+          onRestore={handleRestore}
+          onClose={() => setView('board')}
+        />
+      )}
+
+      {view === 'board' && (
+        <ItemBoard
+          items={filteredItems}
+          zones={zones}
+          selectedItemId={selectedItemId}
+          currentFocusSessions={currentFocusSessions}
+          interruptedItem={interruptedItem}
+          highlightTerms={search.terms}
+          onItemClick={handleItemClick}
+          onStatusChange={handleStatusChange}
+          onItemReorder={handleItemReorder}
+        />
+      )}
 
       <DetailsPanel
         item={selectedItem}
         zones={zones}
+        currentItem={currentItem}
+        events={selectedItemEvents}
+        focusSessions={selectedFocusSessions}
         onUpdate={handleItemUpdate}
         onStatusChange={handleStatusChange}
+        onSnooze={handleSnooze}
+        onDelete={handleDelete}
       />
 
+      {/* Offer to resume an interrupted item, else undo the last board action */}
+      {resumeOffer ? (
+        <Toast
+          key={resumeOffer.id}
+          message={`Back to "${resumeOffer.item.title}"?`}
+          actionLabel="Resume"
+          onAction={handleResume}
+          onDismiss={handleResumeDismiss}
+          duration={10000}
+        />
+      ) : lastAction && (
+        <Toast
+          key={lastAction.id}
+          message={lastAction.label}
+          actionLabel="Undo"
+          onAction={undo}
+        />
+      )}
+
+      {/* Zone Manager */}
+      {showZoneManager && (
+        <ZoneManager
+          zones={zones}
+          error={zonesError}
+          onDismissError={clearZonesError}
+          onAdd={addZone}
+          onUpdate={updateZone}
+          onMove={moveZone}
+          onNest={nestZone}
+          onMerge={handleMergeZones}
+          onRemove={handleRemoveZone}
+          onClose={() => {
+            setShowZoneManager(false);
+            clearZonesError();
+          }}
+        />
+      )}
+
+      {/* Command Palette */}
+      {showPalette && (
+        <CommandPalette
+          items={items}
+          zones={zones}
+          view={view}
+          selectedZoneIds={selectedZoneIds}
+          selectedCategoryIds={selectedCategoryIds}
+          onStatusChange={handleStatusChange}
+          onUpdate={handleItemUpdate}
+          onOpenItem={handleOpenItem}
+          onAddClick={handleAddClick}
+          onFastAddClick={handleFastAddClick}
+          onViewChange={setView}
+          onZoneFilterChange={setSelectedZoneIds}
+          onCategoryFilterChange={setSelectedCategoryIds}
+          onManageZonesClick={() => setShowZoneManager(true)}
+          onClose={() => setShowPalette(false)}
+        />
+      )}
+
       {/* Add Modal */}
       {showAddModal && (
         <AddItemModal
           zones={zones}
           mode={addModalMode}
           onAdd={handleAddItem}
+          onAddMany={handleAddItems}
           onClose={() => setShowAddModal(false)}
         />
       )}
@@ -192,25 +576,34 @@ export default function App() {
  * AddItemModal Component
  * 
  * Simple modal for adding new items.
+ * Fast Add reads inline tokens from the title (see lib/fastAdd)
+ * and previews what will be created.
+ * Pasting several lines switches to paste mode, which adds one item per line.
  */
-import { CONTEXTS } from './lib/items';
+import { CONTEXTS, STATUS_LABELS } from './lib/items';
+import { parseFastAdd, PLACEMENTS } from './lib/fastAdd';
+import { formatDueRelative } from './lib/time';
 
-function AddItemModal({ zones, mode = 'full', onAdd, onClose }) {
+function AddItemModal({ zones, mode = 'full', onAdd, onAddMany, onClose }) {
   const [title, setTitle] = useState('');
+  const [pasteText, setPasteText] = useState(null); // pasted list, in paste mode
   const [notes, setNotes] = useState('');
   const [context, setContext] = useState(CONTEXTS.OBJECTIVES);
-  const [zoneId, setZoneId] = useState('');
+  const [zoneIds, setZoneIds] = useState([]);
   const [submitting, setSubmitting] = useState(false);
 
   const isFastMode = mode === 'fast';
+  const now = useNow(60000);
+  const parsed = isFastMode ? parseFastAdd(title, { zones, now }) : null;
+  const finalTitle = isFastMode ? parsed.title : title.trim();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!title.trim()) return;
+    if (!finalTitle) return;
 
     setSubmitting(true);
     const itemData = { 
-      title: title.trim(),
+      title: finalTitle,
     };
 
     // Add notes for both modes if provided
@@ -221,110 +614,185 @@ function AddItemModal({ zones, mode = 'full', onAdd, onClose }) {
     // Add category and zone only for full mode
     if (!isFastMode) {
       itemData.context = context;
-      itemData.zone_id = zoneId || null;
+      itemData.zone_ids = zoneIds;
     } else {
-      // Fast mode defaults to Objectives category
-      itemData.context = CONTEXTS.OBJECTIVES;
-      itemData.zone_id = null;
+      // Fast mode takes category, zones, due date and placement from the title
+      itemData.context = parsed.context;
+      itemData.zone_ids = parsed.zoneIds;
+      if (parsed.dueDate) {
+        itemData.due_date = parsed.dueDate;
+      }
+      if (parsed.placement === PLACEMENTS.NEXT) {
+        itemData.status = STATUSES.IN_PROGRESS;
+      }
     }
 
-    await onAdd(itemData);
+    await onAdd(itemData, { makeCurrent: isFastMode && parsed.placement === PLACEMENTS.NOW });
     setSubmitting(false);
   };
 
+  // Pasting a multi-line list adds one item per line
+  const handleTitlePaste = (e) => {
+    const pasted = e.clipboardData.getData('text');
+    if (pasted.trim().includes('\n')) {
+      e.preventDefault();
+      setPasteText(pasted);
+    }
+  };
+
   return (
     <>
       <div className="modal-overlay" onClick={onClose} />
       <div className="modal">
         <div className="modal__header">
           <h2 className="modal__title">
-            {isFastMode ? 'Fast Add' : 'Add Item'}
+            {pasteText !== null ? 'Paste List' : isFastMode ? 'Fast Add' : 'Add Item'}
           </h2>
           <button className="modal__close" onClick={onClose}>✕</button>
         </div>
         
-        <form onSubmit={handleSubmit}>
-          <div className="modal__field">
-            <label className="modal__label">Title</label>
-            <input
-              type="text"
-              className="modal__input"
-              value={title}
-              onChange={(e) => setTitle(e.target.value)}
-              placeholder="What needs to be done?"
-              autoFocus
-              disabled={submitting}
-            />
-          </div>
-
-          <div className="modal__field">
-            <label className="modal__label">
-              {isFastMode ? 'Short Description (optional)' : 'Description (optional)'}
-            </label>
-            <textarea
-              className="modal__input"
-              value={notes}
-              onChange={(e) => setNotes(e.target.value)}
-              placeholder={isFastMode ? "Quick note..." : "Add details..."}
-              rows={isFastMode ? 2 : 3}
-              disabled={submitting}
-              style={{ resize: 'vertical', fontFamily: 'inherit' }}
-            />
-          </div>
-
-          {!isFastMode && (
-            <>
-              <div className="modal__field">
-                <label className="modal__label">Category</label>
-                <select 
-                  className="modal__select"
-                  value={context} 
-                  onChange={(e) => setContext(e.target.value)}
-                  disabled={submitting}
-                >
-                  <option value={CONTEXTS.OBJECTIVES}>Objectives</option>
-                  <option value={CONTEXTS.RESEARCH}>Research</option>
-                  <option value={CONTEXTS.NEEDS}>Needs</option>
-                  <option value={CONTEXTS.REMINDERS}>Reminders</option>
-                </select>
-              </div>
-
-              <div className="modal__field">
-                <label className="modal__label">Zone (optional)</label>
-                <select 
-                  className="modal__select"
-                  value={zoneId} 
-                  onChange={(e) => setZoneId(e.target.value)}
-                  disabled={submitting}
-                >
-                  <option value="">No Zone</option>
-                  {zones.map(zone => (
-                    <option key={zone.id} value={zone.id}>{zone.name}</option>
-                  ))}
-                </select>
-              </div>
-            </>
-          )}
-
-          <div className="modal__actions">
-            <button 
-              type="button" 
-              className="modal__btn modal__btn--secondary"
-              onClick={onClose}
-              disabled={submitting}
-            >
-              Cancel
-            </button>
-            <button 
-              type="submit" 
-              className="modal__btn modal__btn--primary"
-              disabled={submitting || !title.trim()}
-            >
-              {submitting ? 'Adding...' : 'Add Item'}
-            </button>
-          </div>
-        </form>
+        {pasteText !== null ? (
+          <BatchAddForm
+            zones={zones}
+            initialText={pasteText}
+            onAdd={onAddMany}
+            onCancel={() => setPasteText(null)}
+          />
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="modal__field">
+              <label className="modal__label">Title</label>
+              <input
+                type="text"
+                className="modal__input"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                onPaste={handleTitlePaste}
+                placeholder={isFastMode ? 'What needs to be done? #zone /category !now !next due:fri 9am' : 'What needs to be done?'}
+                autoFocus
+                disabled={submitting}
+              />
+            </div>
+
+            {isFastMode && title.trim() && (
+              <FastAddPreview parsed={parsed} zones={zones} now={now} />
+            )}
+
+            <div className="modal__field">
+              <label className="modal__label">
+                {isFastMode ? 'Short Description (optional)' : 'Description (optional)'}
+              </label>
+              <textarea
+                className="modal__input"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder={isFastMode ? "Quick note..." : "Add details..."}
+                rows={isFastMode ? 2 : 3}
+                disabled={submitting}
+                style={{ resize: 'vertical', fontFamily: 'inherit' }}
+              />
+            </div>
+
+            {!isFastMode && (
+              <>
+                <div className="modal__field">
+                  <label className="modal__label">Category</label>
+                  <select 
+                    className="modal__select"
+                    value={context} 
+                    onChange={(e) => setContext(e.target.value)}
+                    disabled={submitting}
+                  >
+                    <option value={CONTEXTS.OBJECTIVES}>Objectives</option>
+                    <option value={CONTEXTS.RESEARCH}>Research</option>
+                    <option value={CONTEXTS.NEEDS}>Needs</option>
+                    <option value={CONTEXTS.REMINDERS}>Reminders</option>
+                  </select>
+                </div>
+
+                <div className="modal__field">
+                  <label className="modal__label">Zones (optional)</label>
+                  <ZonePicker
+                    zones={zones}
+                    selectedIds={zoneIds}
+                    onChange={setZoneIds}
+                    disabled={submitting}
+                  />
+                </div>
+              </>
+            )}
+
+            <div className="modal__actions">
+              <button 
+                type="button" 
+                className="modal__btn modal__btn--secondary modal__btn--start"
+                onClick={() => setPasteText(title)}
+                disabled={submitting}
+                title="Add several items from a list"
+              >
+                Paste List
+              </button>
+              <button 
+                type="button" 
+                className="modal__btn modal__btn--secondary"
+                onClick={onClose}
+                disabled={submitting}
+              >
+                Cancel
+              </button>
+              <button 
+                type="submit" 
+                className="modal__btn modal__btn--primary"
+                disabled={submitting || !finalTitle}
+              >
+                {submitting ? 'Adding...' : 'Add Item'}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </>
   );
 }
+
+/**
+ * FastAddPreview Component
+ * 
+ * What Fast Add will create from the tokens typed so far.
+ */
+function FastAddPreview({ parsed, zones, now }) {
+  const placementLabels = {
+    [PLACEMENTS.NOW]: STATUS_LABELS[STATUSES.CURRENT],
+    [PLACEMENTS.NEXT]: `Top of ${STATUS_LABELS[STATUSES.IN_PROGRESS]}`,
+  };
+
+  return (
+    <div className="fast-add-preview">
+      <div className="fast-add-preview__title">
+        {parsed.title || <span className="fast-add-preview__missing">Add a title</span>}
+      </div>
+      <div className="fast-add-preview__tags">
+        <span className="fast-add-preview__tag">
+          {parsed.context.charAt(0).toUpperCase() + parsed.context.slice(1)}
+        </span>
+        {zones
+          .filter(zone => parsed.zoneIds.includes(zone.id))
+          .map(zone => (
+            <span key={zone.id} className="fast-add-preview__tag">#{zone.name}</span>
+          ))}
+        {parsed.placement && (
+          <span className="fast-add-preview__tag">{placementLabels[parsed.placement]}</span>
+        )}
+        {parsed.dueDate && (
+          <span className="fast-add-preview__tag" title={new Date(parsed.dueDate).toLocaleString()}>
+            Due {new Date(parsed.dueDate).toLocaleString([], { weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' })}
+            {' '}({formatDueRelative(new Date(parsed.dueDate).getTime(), now)})
+          </span>
+        )}
+      </div>
+      {parsed.warnings.map(warning => (
+        <div key={warning} className="fast-add-preview__warning">{warning}</div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+/**
+ * BatchAddForm Component
+ *
+ * Paste mode of the add modal: paste a list, check the items it becomes,
+ * then add them all at once with a shared category and zones.
+ * Each line or bullet is an item; indented lines are its notes (see lib/batchAdd).
+ */
+
+import { useState } from 'react';
+import { ZonePicker } from './ZonePicker';
+import { CONTEXTS } from '../lib/items';
+import { parseBatchText } from '../lib/batchAdd';
+
+export function BatchAddForm({ zones, initialText = '', onAdd, onCancel }) {
+  const [text, setText] = useState(initialText);
+  const [entries, setEntries] = useState(null); // parsed items while previewing
+  const [context, setContext] = useState(CONTEXTS.OBJECTIVES);
+  const [zoneIds, setZoneIds] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const validEntries = (entries ?? []).filter(entry => entry.title.trim());
+
+  const handlePreview = (e) => {
+    e.preventDefault();
+    setEntries(parseBatchText(text));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (validEntries.length === 0) return;
+
+    setSubmitting(true);
+    await onAdd(validEntries.map(entry => ({
+      title: entry.title.trim(),
+      ...(entry.notes && { notes: entry.notes }),
+      context,
+      zone_ids: zoneIds,
+    })));
+    setSubmitting(false);
+  };
+
+  const updateEntry = (index, title) => {
+    setEntries(entries.map((entry, i) => i === index ? { ...entry, title } : entry));
+  };
+
+  const removeEntry = (index) => {
+    setEntries(entries.filter((_, i) => i !== index));
+  };
+
+  // Step 1: paste
+  if (!entries) {
+    return (
+      <form onSubmit={handlePreview}>
+        <div className="modal__field">
+          <label className="modal__label">One item per line</label>
+          <textarea
+            className="modal__input batch-add__text"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder={'- First item\n  Indented lines become notes\n- Second item'}
+            rows={8}
+            autoFocus
+          />
+        </div>
+
+        <div className="modal__actions">
+          <button type="button" className="modal__btn modal__btn--secondary" onClick={onCancel}>
+            Back
+          </button>
+          <button
+            type="submit"
+            className="modal__btn modal__btn--primary"
+            disabled={parseBatchText(text).length === 0}
+          >
+            Preview
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  // Step 2: check and add
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="modal__field">
+        <label className="modal__label">{validEntries.length} items, in this order</label>
+        <ol className="batch-add__list">
+          {entries.map((entry, index) => (
+            <li key={index} className="batch-add__entry">
+              <div className="batch-add__row">
+                <input
+                  type="text"
+                  className="modal__input batch-add__title"
+                  value={entry.title}
+                  onChange={(e) => updateEntry(index, e.target.value)}
+                  disabled={submitting}
+                />
+                <button
+                  type="button"
+                  className="modal__close"
+                  onClick={() => removeEntry(index)}
+                  title="Leave out"
+                  disabled={submitting}
+                >
+                  ✕
+                </button>
+              </div>
+              {entry.notes && (
+                <div className="batch-add__notes">{entry.notes}</div>
+              )}
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      <div className="modal__field">
+        <label className="modal__label">Category</label>
+        <select
+          className="modal__select"
+          value={context}
+          onChange={(e) => setContext(e.target.value)}
+          disabled={submitting}
+        >
+          <option value={CONTEXTS.OBJECTIVES}>Objectives</option>
+          <option value={CONTEXTS.RESEARCH}>Research</option>
+          <option value={CONTEXTS.NEEDS}>Needs</option>
+          <option value={CONTEXTS.REMINDERS}>Reminders</option>
+        </select>
+      </div>
+
+      <div className="modal__field">
+        <label className="modal__label">Zones (optional)</label>
+        <ZonePicker
+          zones={zones}
+          selectedIds={zoneIds}
+          onChange={setZoneIds}
+          disabled={submitting}
+        />
+      </div>
+
+      <div className="modal__actions">
+        <button
+          type="button"
+          className="modal__btn modal__btn--secondary"
+          onClick={() => setEntries(null)}
+          disabled={submitting}
+        >
+          Back
+        </button>
+        <button
+          type="submit"
+          className="modal__btn modal__btn--primary"
+          disabled={submitting || validEntries.length === 0}
+        >
+          {submitting ? 'Adding...' : `Add ${validEntries.length} Items`}
+        </button>
+      </div>
+    </form>
+  );
+}
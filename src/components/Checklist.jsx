@@ -0,0 +1,165 @@
+/**
+ * Checklist Component
+ *
+ * Editable subtasks of an item: add, check, rename, reorder and delete.
+ * Once every subtask is checked, offers to mark the item itself done.
+ */
+
+import { useState } from 'react';
+import {
+  itemSubtasks,
+  addSubtask,
+  toggleSubtask,
+  renameSubtask,
+  moveSubtask,
+  removeSubtask,
+  subtaskProgress,
+} from '../lib/subtasks';
+
+export function Checklist({
+  item,
+  onChange,
+  onComplete,
+  disabled = false,
+}) {
+  const [newTitle, setNewTitle] = useState('');
+
+  const subtasks = itemSubtasks(item);
+  const { done, total } = subtaskProgress(item);
+  const allDone = total > 0 && done === total;
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+
+    onChange(addSubtask(subtasks, newTitle));
+    setNewTitle('');
+  };
+
+  return (
+    <div className="checklist">
+      {total > 0 && (
+        <div className="checklist__progress">
+          <div
+            className="checklist__bar"
+            style={{ '--progress': `${(done / total) * 100}%` }}
+          />
+          <span className="checklist__count">{done}/{total}</span>
+        </div>
+      )}
+
+      <ul className="checklist__items">
+        {subtasks.map((subtask, index) => (
+          <SubtaskRow
+            key={`${subtask.id}:${subtask.title}`}
+            subtask={subtask}
+            isFirst={index === 0}
+            isLast={index === subtasks.length - 1}
+            disabled={disabled}
+            onToggle={() => onChange(toggleSubtask(subtasks, subtask.id))}
+            onRename={(title) => onChange(renameSubtask(subtasks, subtask.id, title))}
+            onMoveUp={() => onChange(moveSubtask(subtasks, subtask.id, index - 1))}
+            onMoveDown={() => onChange(moveSubtask(subtasks, subtask.id, index + 1))}
+            onRemove={() => onChange(removeSubtask(subtasks, subtask.id))}
+          />
+        ))}
+      </ul>
+
+      {allDone && onComplete && (
+        <div className="checklist__complete">
+          <span>All subtasks done.</span>
+          <button className="status-btn" onClick={onComplete}>
+            Mark Done
+          </button>
+        </div>
+      )}
+
+      {!disabled && (
+        <form className="checklist__add" onSubmit={handleAdd}>
+          <input
+            type="text"
+            className="details-panel__select"
+            value={newTitle}
+            onChange={(e) => setNewTitle(e.target.value)}
+            placeholder="Add a subtask..."
+          />
+        </form>
+      )}
+    </div>
+  );
+}
+
+/**
+ * SubtaskRow Component
+ *
+ * One subtask: checkbox, title (renamed on blur or Enter), order and delete.
+ */
+function SubtaskRow({
+  subtask,
+  isFirst,
+  isLast,
+  disabled,
+  onToggle,
+  onRename,
+  onMoveUp,
+  onMoveDown,
+  onRemove,
+}) {
+  const [title, setTitle] = useState(subtask.title);
+
+  const commitTitle = () => {
+    if (title.trim() && title.trim() !== subtask.title) {
+      onRename(title);
+    } else {
+      setTitle(subtask.title);
+    }
+  };
+
+  return (
+    <li className={`checklist__item ${subtask.done ? 'checklist__item--done' : ''}`}>
+      <input
+        type="checkbox"
+        className="checklist__checkbox"
+        checked={subtask.done}
+        onChange={onToggle}
+        disabled={disabled}
+      />
+      <input
+        type="text"
+        className="checklist__title"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        onBlur={commitTitle}
+        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        disabled={disabled}
+      />
+      {!disabled && (
+        <>
+          <button
+            className="checklist__icon-btn"
+            onClick={onMoveUp}
+            disabled={isFirst}
+            title="Move up"
+          >
+            ↑
+          </button>
+          <button
+            className="checklist__icon-btn"
+            onClick={onMoveDown}
+            disabled={isLast}
+            title="Move down"
+          >
+            ↓
+          </button>
+          <button
+            className="checklist__icon-btn checklist__icon-btn--danger"
+            onClick={onRemove}
+            title="Delete subtask"
+          >
+            ✕
+          </button>
+        </>
+      )}
+    </li>
+  );
+}
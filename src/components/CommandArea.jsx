@@ -2,11 +2,16 @@
  * CommandArea Component
  * 
  * Top header spanning full width.
- * Contains Add button, filter dropdowns, and Brightly logo on the right.
+ * Contains Add button, search box, filter dropdowns, zone manager, Done/Trash view toggles,
+ * a button for the command palette (Ctrl+K),
+ * a button to turn on reminder notifications, the overdue count, sync indicator
+ * and Brightly logo on the right.
  */
 
 import { FilterDropdown } from './FilterDropdown';
 import { CONTEXTS } from '../lib/items';
+import { SYNC_STATUSES } from '../lib/outbox';
+import { zoneFilterOptions } from '../lib/zones';
 
 // Convert CONTEXTS to array format for dropdown
 const categoryOptions = Object.values(CONTEXTS).map(context => ({
@@ -19,9 +24,24 @@ export function CommandArea({
   selectedZoneIds, 
   selectedCategoryIds,
   onZoneFilterChange,
+  zoneMatch = 'any',
+  onZoneMatchChange,
   onCategoryFilterChange,
   onAddClick,
   onFastAddClick,
+  searchQuery = '',
+  onSearchChange,
+  onManageZonesClick,
+  onPaletteClick,
+  view = 'board',
+  onViewChange,
+  syncStatus = SYNC_STATUSES.SYNCED,
+  pendingCount = 0,
+  onRetrySync,
+  notificationPermission = 'unsupported',
+  onEnableNotifications,
+  overdueCount = 0,
+  onOverdueClick,
 }) {
   return (
     <header className="command-area">
@@ -35,25 +55,125 @@ export function CommandArea({
           Add
         </button>
 
+        <div className="search-box">
+          <input
+            type="search"
+            className="search-box__input"
+            value={searchQuery}
+            onChange={(e) => onSearchChange?.(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') onSearchChange?.('');
+            }}
+            placeholder="Search… (status:, zone:, ref:)"
+            title="Words match title, notes and ref code. Narrow with status:waiting, zone:home or ref:OBJ-"
+          />
+        </div>
+
         <FilterDropdown
           label="Zones"
-          options={zones.map(z => ({ id: z.id, name: z.name }))}
+          options={zoneFilterOptions(zones)}
           selectedIds={selectedZoneIds}
           onChange={onZoneFilterChange}
         />
 
+        {selectedZoneIds.length > 1 && (
+          <button 
+            className="menu-btn"
+            onClick={() => onZoneMatchChange?.(zoneMatch === 'any' ? 'all' : 'any')}
+            title="Show items in any or in all of the selected zones"
+          >
+            {zoneMatch === 'any' ? 'Any zone' : 'All zones'}
+          </button>
+        )}
+
+        <button 
+          className="menu-btn" 
+          onClick={onManageZonesClick}
+          title="Manage zones"
+        >
+          Edit Zones
+        </button>
+
         <FilterDropdown
           label="Category"
           options={categoryOptions}
           selectedIds={selectedCategoryIds}
           onChange={onCategoryFilterChange}
         />
+
+        {['done', 'trash'].map(name => (
+          <button 
+            key={name}
+            className={`menu-btn ${view === name ? 'menu-btn--active' : ''}`}
+            onClick={() => onViewChange?.(view === name ? 'board' : name)}
+          >
+            {name === 'done' ? 'Done' : 'Trash'}
+          </button>
+        ))}
+
+        <button 
+          className="menu-btn"
+          onClick={onPaletteClick}
+          title="Search items and actions (Ctrl+K)"
+        >
+          Commands
+        </button>
       </nav>
 
-      {/* Logo on the right */}
-      <div className="command-area__logo">
-        Brightly
+      {/* Sync indicator and logo on the right */}
+      <div className="command-area__right">
+        {notificationPermission === 'default' && (
+          <button 
+            className="menu-btn"
+            onClick={onEnableNotifications}
+            title="Get a notification when reminders are due (only while Brightly is open in a tab)"
+          >
+            🔔 Enable Reminders
+          </button>
+        )}
+        {overdueCount > 0 && (
+          <button 
+            className="menu-btn menu-btn--overdue"
+            onClick={onOverdueClick}
+            title="Show the most overdue item"
+          >
+            ⚠ {overdueCount} overdue
+          </button>
+        )}
+        <SyncIndicator
+          status={syncStatus}
+          pendingCount={pendingCount}
+          onRetry={onRetrySync}
+        />
+        <div className="command-area__logo">
+          Brightly
+        </div>
       </div>
     </header>
   );
 }
+
+/**
+ * SyncIndicator Component
+ * 
+ * Shows whether local edits have reached the server.
+ * Clicking retries sending pending edits.
+ */
+function SyncIndicator({ status, pendingCount, onRetry }) {
+  const labels = {
+    [SYNC_STATUSES.SYNCED]: 'Synced',
+    [SYNC_STATUSES.PENDING]: `${pendingCount} pending`,
+    [SYNC_STATUSES.FAILED]: 'Sync failed',
+  };
+
+  return (
+    <button
+      className={`sync-status sync-status--${status}`}
+      onClick={onRetry}
+      title={status === SYNC_STATUSES.SYNCED ? 'All changes saved' : 'Retry now'}
+    >
+      <span className="sync-status__dot" />
+      {labels[status]}
+    </button>
+  );
+}
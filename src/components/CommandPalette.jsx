@@ -0,0 +1,261 @@
+/**
+ * CommandPalette Component
+ *
+ * Keyboard-driven palette (Ctrl+K) that fuzzy-searches items by title,
+ * notes and ref code, and app actions by name.
+ * Choosing an item lists what can be done with it: set current, move,
+ * mark done, change zones or open its details.
+ * Arrow keys move, Enter runs, Escape (or Backspace on an empty query) goes back.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { STATUSES, STATUS_LABELS, CONTEXTS } from '../lib/items';
+import { zoneFilterOptions, zonePath, itemZoneIds } from '../lib/zones';
+import { fuzzyFilter } from '../lib/fuzzy';
+
+// Most results listed at once
+const MAX_RESULTS = 50;
+
+export function CommandPalette({
+  items,
+  zones,
+  view = 'board',
+  selectedZoneIds,
+  selectedCategoryIds,
+  onStatusChange,
+  onUpdate,
+  onOpenItem,
+  onAddClick,
+  onFastAddClick,
+  onViewChange,
+  onZoneFilterChange,
+  onCategoryFilterChange,
+  onManageZonesClick,
+  onClose,
+}) {
+  const [path, setPath] = useState([]); // ids of the entries opened from the root
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  function buildGlobalActions() {
+    const toggle = (ids, id) => ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id];
+
+    return [
+      { id: 'fast-add', label: 'Fast Add', run: onFastAddClick },
+      { id: 'add', label: 'Add Item', run: onAddClick },
+      ...['board', 'done', 'trash']
+        .filter(name => name !== view)
+        .map(name => ({
+          id: `view:${name}`,
+          label: { board: 'Show Board', done: 'Show Done', trash: 'Show Trash' }[name],
+          run: () => onViewChange(name),
+        })),
+      {
+        id: 'filter-zones',
+        label: 'Filter by Zone...',
+        page: () => ({
+          placeholder: 'Toggle a zone filter...',
+          entries: zoneFilterOptions(zones).map(zone => ({
+            id: `zone:${zone.id}`,
+            label: zonePath(zones, zone.id),
+            checked: selectedZoneIds.includes(zone.id),
+            run: () => onZoneFilterChange(toggle(selectedZoneIds, zone.id)),
+          })),
+        }),
+      },
+      {
+        id: 'filter-categories',
+        label: 'Filter by Category...',
+        page: () => ({
+          placeholder: 'Toggle a category filter...',
+          entries: Object.values(CONTEXTS).map(context => ({
+            id: `category:${context}`,
+            label: context.charAt(0).toUpperCase() + context.slice(1),
+            checked: selectedCategoryIds.includes(context),
+            run: () => onCategoryFilterChange(toggle(selectedCategoryIds, context)),
+          })),
+        }),
+      },
+      ...(selectedZoneIds.length > 0 || selectedCategoryIds.length > 0
+        ? [{
+            id: 'clear-filters',
+            label: 'Clear Filters',
+            run: () => {
+              onZoneFilterChange([]);
+              onCategoryFilterChange([]);
+            },
+          }]
+        : []),
+      { id: 'manage-zones', label: 'Edit Zones', run: onManageZonesClick },
+    ];
+  }
+
+  function itemPage(item) {
+    const moves = [STATUSES.WAITING, STATUSES.IN_PROGRESS]
+      .filter(status => status !== item.status)
+      .map(status => ({
+        id: `move:${status}`,
+        label: `Move to ${STATUS_LABELS[status]}`,
+        run: () => onStatusChange(item.id, status),
+      }));
+
+    return {
+      placeholder: `"${item.title}"...`,
+      entries: [
+        { id: 'open', label: 'Open Details', run: () => onOpenItem(item.id, item.ref_code) },
+        ...(item.status !== STATUSES.CURRENT
+          ? [{ id: 'current', label: 'Set Current', run: () => onStatusChange(item.id, STATUSES.CURRENT) }]
+          : []),
+        ...moves,
+        { id: 'done', label: 'Mark Done', run: () => onStatusChange(item.id, STATUSES.DONE) },
+        {
+          id: 'zones',
+          label: 'Change Zones...',
+          page: () => ({
+            placeholder: `Toggle a zone of "${item.title}"...`,
+            entries: zoneFilterOptions(zones).map(zone => {
+              const zoneIds = itemZoneIds(item);
+              const checked = zoneIds.includes(zone.id);
+              return {
+                id: `item-zone:${zone.id}`,
+                label: zonePath(zones, zone.id),
+                checked,
+                run: () => onUpdate(item.id, {
+                  zone_ids: checked ? zoneIds.filter(id => id !== zone.id) : [...zoneIds, zone.id],
+                }),
+              };
+            }),
+          }),
+        },
+      ],
+    };
+  }
+
+  // Rebuilt on every render, so pages reflect the latest items and filters
+  let page = {
+    placeholder: 'Search items or type a command...',
+    entries: [
+      ...buildGlobalActions(),
+      ...items.map(item => ({
+        id: `item:${item.id}`,
+        label: item.title,
+        detail: `${item.ref_code || ''} · ${STATUS_LABELS[item.status]}`,
+        keywords: [item.ref_code, item.notes],
+        page: () => itemPage(item),
+      })),
+    ],
+  };
+  for (const id of path) {
+    const entry = page.entries.find(e => e.id === id);
+    if (!entry?.page) break;
+    page = entry.page();
+  }
+
+  const results = fuzzyFilter(page.entries, query, entry => [
+    [entry.label, 2],
+    ...(entry.keywords || []).map(text => [text, 1]),
+  ]).slice(0, MAX_RESULTS);
+
+  // Keep the active entry in view
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const choose = (entry) => {
+    if (!entry) return;
+
+    if (entry.page) {
+      setPath([...path, entry.id]);
+      setQuery('');
+      setActiveIndex(0);
+      return;
+    }
+
+    onClose();
+    entry.run();
+  };
+
+  const goBack = () => {
+    if (path.length > 0) {
+      setPath(path.slice(0, -1));
+      setQuery('');
+      setActiveIndex(0);
+    } else {
+      onClose();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActiveIndex(index => Math.min(index + 1, results.length - 1));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(index => Math.max(index - 1, 0));
+        break;
+      case 'Enter':
+        e.preventDefault();
+        choose(results[activeIndex]);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        goBack();
+        break;
+      case 'Backspace':
+        if (!query && path.length > 0) {
+          e.preventDefault();
+          goBack();
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <>
+      <div className="modal-overlay" onClick={onClose} />
+      <div className="modal command-palette" role="dialog" aria-label="Command palette">
+        <input
+          type="text"
+          className="modal__input"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder={page.placeholder}
+          autoFocus
+        />
+
+        <ul className="command-palette__list" ref={listRef} role="listbox">
+          {results.length === 0 && (
+            <li className="command-palette__empty">No matches</li>
+          )}
+          {results.map((entry, index) => (
+            <li
+              key={entry.id}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`command-palette__entry ${index === activeIndex ? 'command-palette__entry--active' : ''}`}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => choose(entry)}
+            >
+              {entry.checked !== undefined && (
+                <span className="command-palette__check">{entry.checked ? '✓' : ''}</span>
+              )}
+              <span className="command-palette__label">{entry.label}</span>
+              {entry.detail && (
+                <span className="command-palette__detail">{entry.detail}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </>
+  );
+}
@@ -20,6 +20,7 @@
 
 import { ItemRow } from './ItemRow';
 import { STATUSES } from '../lib/items';
+import { itemZoneIds } from '../lib/zones';
 
 export function CommandTable({ 
   items, 
@@ -36,7 +37,7 @@ export function CommandTable({
 }) {
   // Filter items by zone if selected
   const filteredItems = selectedZoneId
-    ? items.filter(item => item.zone_id === selectedZoneId)
+    ? items.filter(item => itemZoneIds(item).includes(selectedZoneId))
     : items;
 
   // Separate current item for visual prominence
@@ -13,10 +13,15 @@
  * TODO: Style as slide-out drawer
  * TODO: Add context-specific fields and behaviors
  * TODO: Add notes editing
- * TODO: Add due date picker for reminders
  */
 
 import { CONTEXTS, STATUSES } from '../lib/items';
+import { itemZoneIds } from '../lib/zones';
+import { reminderTime } from '../lib/reminders';
+import { Checklist } from './Checklist';
+import { ResearchLog } from './ResearchLog';
+import { RecurrencePicker } from './RecurrencePicker';
+import { DueDateInput } from './DueDateInput';
 
 export function ContextDrawer({ item, zones, onClose, onUpdate, onStatusChange }) {
   if (!item) return null;
@@ -29,9 +34,9 @@ export function ContextDrawer({ item, zones, onClose, onUpdate, onStatusChange }
   const renderContextContent = () => {
     switch (item.context) {
       case CONTEXTS.OBJECTIVES:
-        return <ObjectivesView item={item} />;
+        return <ObjectivesView item={item} onUpdate={handleFieldChange} />;
       case CONTEXTS.RESEARCH:
-        return <ResearchView item={item} />;
+        return <ResearchView item={item} onUpdate={onUpdate} />;
       case CONTEXTS.NEEDS:
         return <NeedsView item={item} />;
       case CONTEXTS.REMINDERS:
@@ -144,8 +149,8 @@ export function ContextDrawer({ item, zones, onClose, onUpdate, onStatusChange }
             Zone
           </label>
           <select 
-            value={item.zone_id || ''} 
-            onChange={(e) => handleFieldChange('zone_id', e.target.value || null)}
+            value={itemZoneIds(item)[0] || ''} 
+            onChange={(e) => handleFieldChange('zone_ids', e.target.value ? [e.target.value] : [])}
           >
             <option value="">No Zone</option>
             {zones.map(zone => (
@@ -196,7 +201,7 @@ export function ContextDrawer({ item, zones, onClose, onUpdate, onStatusChange }
  * TODO: Implement context-specific behaviors
  */
 
-function ObjectivesView({ item }) {
+function ObjectivesView({ item, onUpdate }) {
   return (
     <div>
       <h4 style={{ margin: '0 0 8px 0', fontSize: '14px', color: '#666' }}>
@@ -205,12 +210,15 @@ function ObjectivesView({ item }) {
       <p style={{ fontSize: '13px', color: '#888' }}>
         Active execution. This is work you are currently doing or about to do.
       </p>
-      {/* TODO: Add objective-specific fields like subtasks, milestones */}
+      <Checklist
+        item={item}
+        onChange={(subtasks) => onUpdate('subtasks', subtasks)}
+      />
     </div>
   );
 }
 
-function ResearchView({ item }) {
+function ResearchView({ item, onUpdate }) {
   return (
     <div>
       <h4 style={{ margin: '0 0 8px 0', fontSize: '14px', color: '#666' }}>
@@ -219,7 +227,10 @@ function ResearchView({ item }) {
       <p style={{ fontSize: '13px', color: '#888' }}>
         Learning and discovery. Use this for things you're exploring or studying.
       </p>
-      {/* TODO: Add research-specific fields like sources, findings */}
+      <ResearchLog
+        item={item}
+        onUpdate={(updates) => onUpdate(item.id, updates)}
+      />
     </div>
   );
 }
@@ -239,6 +250,8 @@ function NeedsView({ item }) {
 }
 
 function RemindersView({ item, onUpdate }) {
+  const alertsAt = reminderTime(item);
+
   return (
     <div>
       <h4 style={{ margin: '0 0 8px 0', fontSize: '14px', color: '#666' }}>
@@ -253,14 +266,28 @@ function RemindersView({ item, onUpdate }) {
         <label style={{ display: 'block', fontSize: '12px', color: '#666', marginBottom: '4px' }}>
           Due Date
         </label>
-        <input
-          type="date"
-          value={item.due_date?.split('T')[0] || ''}
-          onChange={(e) => onUpdate('due_date', e.target.value || null)}
+        <DueDateInput
+          value={item.due_date}
+          onChange={(dueDate) => onUpdate('due_date', dueDate)}
         />
       </div>
       
-      {/* TODO: Add reminder-specific fields like repeat, notification time */}
+      {/* Repeat */}
+      <div style={{ marginTop: '12px' }}>
+        <label style={{ display: 'block', fontSize: '12px', color: '#666', marginBottom: '4px' }}>
+          Repeat
+        </label>
+        <RecurrencePicker
+          value={item.recurrence ?? null}
+          dueDate={item.due_date}
+          onChange={(recurrence) => onUpdate('recurrence', recurrence)}
+        />
+      </div>
+
+      {/* Notification time */}
+      <p style={{ marginTop: '12px', fontSize: '12px', color: '#888' }}>
+        {alertsAt ? `Notifies at ${alertsAt.toLocaleString()}` : 'No notification without a due date'}
+      </p>
     </div>
   );
 }
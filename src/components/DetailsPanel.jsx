@@ -2,16 +2,38 @@
  * DetailsPanel Component
  * 
  * Right side of the app showing full details of selected item.
- * Includes status controls, notes, zone selection, and metadata.
+ * Includes status controls, notes, checklist, zone selection, history, metadata and delete.
+ * Research items also show their sources and findings.
  */
 
-import { STATUSES, CONTEXTS } from '../lib/items';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { STATUSES, CONTEXTS, STATUS_LABELS } from '../lib/items';
+import { EVENT_TYPES, summarizeItemEvents } from '../lib/events';
+import { formatDuration } from '../lib/time';
+import { FocusTimer } from './FocusTimer';
+import { ZonePicker } from './ZonePicker';
+import { Checklist } from './Checklist';
+import { ResearchLog } from './ResearchLog';
+import { RecurrencePicker } from './RecurrencePicker';
+import { DueDateInput } from './DueDateInput';
+import { DueBadge } from './DueBadge';
+import { useNow } from '../hooks/useNow';
+import { reminderTime, SNOOZE_OPTIONS, SNOOZE_LABELS } from '../lib/reminders';
+import { itemZoneIds } from '../lib/zones';
+
+// Pause in typing before notes are saved, so each save is a whole edit
+const NOTES_SAVE_DELAY_MS = 1000;
 
 export function DetailsPanel({ 
   item, 
   zones, 
+  currentItem = null,
+  events = [],
+  focusSessions = [],
   onUpdate, 
   onStatusChange,
+  onSnooze,
+  onDelete,
 }) {
   if (!item) {
     return (
@@ -46,7 +68,12 @@ export function DetailsPanel({
       <div className="details-panel__section">
         <div className="details-panel__label">Status</div>
         <div className="details-panel__status">
-          {item.status === STATUSES.WAITING && (
+          {item.deleted_at && (
+            <button className="status-btn status-btn--active">
+              In Trash
+            </button>
+          )}
+          {!item.deleted_at && item.status === STATUSES.WAITING && (
             <>
               <button 
                 className="status-btn"
@@ -54,15 +81,14 @@ export function DetailsPanel({
               >
                 Move to In Progress
               </button>
-              <button 
-                className="status-btn"
-                onClick={() => onStatusChange(item.id, STATUSES.CURRENT)}
-              >
-                Set as Current
-              </button>
+              <SetCurrentButton
+                item={item}
+                currentItem={currentItem}
+                onStatusChange={onStatusChange}
+              />
             </>
           )}
-          {item.status === STATUSES.IN_PROGRESS && (
+          {!item.deleted_at && item.status === STATUSES.IN_PROGRESS && (
             <>
               <button 
                 className="status-btn"
@@ -70,15 +96,14 @@ export function DetailsPanel({
               >
                 Move to Waiting
               </button>
-              <button 
-                className="status-btn"
-                onClick={() => onStatusChange(item.id, STATUSES.CURRENT)}
-              >
-                Set as Current
-              </button>
+              <SetCurrentButton
+                item={item}
+                currentItem={currentItem}
+                onStatusChange={onStatusChange}
+              />
             </>
           )}
-          {item.status === STATUSES.CURRENT && (
+          {!item.deleted_at && item.status === STATUSES.CURRENT && (
             <button 
               className="status-btn"
               onClick={() => onStatusChange(item.id, STATUSES.IN_PROGRESS)}
@@ -86,7 +111,7 @@ export function DetailsPanel({
               Pause
             </button>
           )}
-          {item.status !== STATUSES.DONE && (
+          {!item.deleted_at && item.status !== STATUSES.DONE && (
             <button 
               className="status-btn"
               onClick={() => onStatusChange(item.id, STATUSES.DONE)}
@@ -94,36 +119,47 @@ export function DetailsPanel({
               Mark Done
             </button>
           )}
-          <button className="status-btn status-btn--active">
-            {item.status}
-          </button>
+          {!item.deleted_at && (
+            <button className="status-btn status-btn--active">
+              {item.status}
+            </button>
+          )}
         </div>
       </div>
 
       {/* Zone */}
       <div className="details-panel__section">
-        <div className="details-panel__label">Zone</div>
-        <select 
-          className="details-panel__select"
-          value={item.zone_id || ''} 
-          onChange={(e) => handleFieldChange('zone_id', e.target.value || null)}
-        >
-          <option value="">No Zone</option>
-          {zones.map(zone => (
-            <option key={zone.id} value={zone.id}>{zone.name}</option>
-          ))}
-        </select>
+        <div className="details-panel__label">Zones</div>
+        <ZonePicker
+          zones={zones}
+          selectedIds={itemZoneIds(item)}
+          onChange={(zoneIds) => handleFieldChange('zone_ids', zoneIds)}
+        />
       </div>
 
-      {/* Due Date (for reminders) */}
+      {/* Due Date and repeat rule (for reminders) */}
       {item.context === CONTEXTS.REMINDERS && (
         <div className="details-panel__section">
           <div className="details-panel__label">Due Date</div>
-          <input
-            type="date"
-            className="details-panel__select"
-            value={item.due_date?.split('T')[0] || ''}
-            onChange={(e) => handleFieldChange('due_date', e.target.value || null)}
+          <div className="details-panel__due">
+            <DueDateInput
+              value={item.due_date}
+              onChange={(dueDate) => handleFieldChange('due_date', dueDate)}
+              disabled={Boolean(item.deleted_at)}
+            />
+            {item.status !== STATUSES.DONE && <DueBadge dueDate={item.due_date} />}
+          </div>
+          <ReminderSnooze item={item} onSnooze={onSnooze} />
+        </div>
+      )}
+      {item.context === CONTEXTS.REMINDERS && (
+        <div className="details-panel__section">
+          <div className="details-panel__label">Repeat</div>
+          <RecurrencePicker
+            value={item.recurrence ?? null}
+            dueDate={item.due_date}
+            onChange={(recurrence) => handleFieldChange('recurrence', recurrence)}
+            disabled={Boolean(item.deleted_at) || item.status === STATUSES.DONE}
           />
         </div>
       )}
@@ -131,11 +167,35 @@ export function DetailsPanel({
       {/* Notes */}
       <div className="details-panel__section">
         <div className="details-panel__label">Notes</div>
-        <textarea
-          className="details-panel__notes"
+        <NotesField
+          key={item.id}
           value={item.notes || ''}
-          onChange={(e) => handleFieldChange('notes', e.target.value)}
-          placeholder="Add notes..."
+          onSave={(notes) => handleFieldChange('notes', notes)}
+        />
+      </div>
+
+      {/* Sources and findings (for research) */}
+      {item.context === CONTEXTS.RESEARCH && (
+        <div className="details-panel__section">
+          <div className="details-panel__label">Sources</div>
+          <ResearchLog
+            item={item}
+            onUpdate={(updates) => onUpdate(item.id, updates)}
+            disabled={Boolean(item.deleted_at)}
+          />
+        </div>
+      )}
+
+      {/* Checklist */}
+      <div className="details-panel__section">
+        <div className="details-panel__label">Checklist</div>
+        <Checklist
+          item={item}
+          onChange={(subtasks) => handleFieldChange('subtasks', subtasks)}
+          onComplete={!item.deleted_at && item.status !== STATUSES.DONE
+            ? () => onStatusChange(item.id, STATUSES.DONE)
+            : null}
+          disabled={Boolean(item.deleted_at)}
         />
       </div>
 
@@ -147,6 +207,23 @@ export function DetailsPanel({
         </p>
       </div>
 
+      {/* Focus */}
+      <div className="details-panel__section">
+        <div className="details-panel__label">Focused Time</div>
+        <div className="details-panel__focus">
+          <FocusTimer sessions={focusSessions} />
+          <span className="details-panel__focus-sessions">
+            {focusSessions.length} session{focusSessions.length === 1 ? '' : 's'}
+          </span>
+        </div>
+      </div>
+
+      {/* History */}
+      <div className="details-panel__section">
+        <div className="details-panel__label">History</div>
+        <ItemTimeline item={item} events={events} zones={zones} />
+      </div>
+
       {/* Metadata */}
       <div className="details-panel__meta">
         <div className="details-panel__meta-item">
@@ -160,7 +237,257 @@ export function DetailsPanel({
             Completed: {new Date(item.completed_at).toLocaleString()}
           </div>
         )}
+        {item.deleted_at ? (
+          <div className="details-panel__meta-item">
+            Deleted: {new Date(item.deleted_at).toLocaleString()}
+          </div>
+        ) : (
+          <button 
+            className="status-btn status-btn--danger details-panel__delete"
+            onClick={() => onDelete?.(item.id)}
+          >
+            Move to Trash
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * NotesField Component
+ * 
+ * Notes textarea that keeps typing local and saves after a pause in typing,
+ * on blur, or when the panel switches items.
+ */
+function NotesField({ value, onSave }) {
+  const [draft, setDraft] = useState(null);
+  const draftRef = useRef(null);
+  const timerRef = useRef(null);
+  const onSaveRef = useRef(onSave);
+
+  // Always call the latest handler
+  useEffect(() => {
+    onSaveRef.current = onSave;
+  });
+
+  const save = useCallback(() => {
+    clearTimeout(timerRef.current);
+    if (draftRef.current === null) return;
+
+    onSaveRef.current(draftRef.current);
+    draftRef.current = null;
+    setDraft(null);
+  }, []);
+
+  // Save unsaved typing when unmounted
+  useEffect(() => save, [save]);
+
+  const handleChange = (e) => {
+    draftRef.current = e.target.value;
+    setDraft(e.target.value);
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(save, NOTES_SAVE_DELAY_MS);
+  };
+
+  return (
+    <textarea
+      className="details-panel__notes"
+      value={draft ?? value}
+      onChange={handleChange}
+      onBlur={save}
+      placeholder="Add notes..."
+    />
+  );
+}
+
+/**
+ * ReminderSnooze Component
+ * 
+ * Snooze options once a reminder is due, and when a snoozed one alerts again.
+ */
+function ReminderSnooze({ item, onSnooze }) {
+  const now = useNow(60000);
+  const time = reminderTime(item);
+
+  if (!time || !onSnooze || (!item.snoozed_until && time.getTime() > now)) {
+    return null;
+  }
+
+  return (
+    <div className="reminder-snooze">
+      <span className="reminder-snooze__label">
+        {time.getTime() > now ? `Snoozed until ${time.toLocaleString()}` : 'Snooze'}
+      </span>
+      {Object.values(SNOOZE_OPTIONS).map(option => (
+        <button 
+          key={option}
+          className="status-btn"
+          onClick={() => onSnooze(item.id, option)}
+        >
+          {SNOOZE_LABELS[option]}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * SetCurrentButton Component
+ * 
+ * Makes an item current. If another item has focus, asks for an optional
+ * reason for interrupting it first.
+ */
+function SetCurrentButton({ item, currentItem, onStatusChange }) {
+  const [asking, setAsking] = useState(false);
+  const [reason, setReason] = useState('');
+
+  if (!currentItem || currentItem.id === item.id) {
+    return (
+      <button 
+        className="status-btn"
+        onClick={() => onStatusChange(item.id, STATUSES.CURRENT)}
+      >
+        Set as Current
+      </button>
+    );
+  }
+
+  if (!asking) {
+    return (
+      <button 
+        className="status-btn"
+        onClick={() => setAsking(true)}
+      >
+        Interrupt Current
+      </button>
+    );
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onStatusChange(item.id, STATUSES.CURRENT, { reason: reason.trim() || null });
+    setAsking(false);
+    setReason('');
+  };
+
+  return (
+    <form className="interrupt-form" onSubmit={handleSubmit}>
+      <div className="interrupt-form__label">
+        Interrupting "{currentItem.title}"
+      </div>
+      <input
+        type="text"
+        className="details-panel__select"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        placeholder="Reason (optional)"
+        autoFocus
+      />
+      <div className="interrupt-form__actions">
+        <button type="submit" className="status-btn">
+          Interrupt
+        </button>
+        <button 
+          type="button" 
+          className="status-btn"
+          onClick={() => setAsking(false)}
+        >
+          Cancel
+        </button>
       </div>
+    </form>
+  );
+}
+
+/**
+ * ItemTimeline Component
+ * 
+ * Time spent per status, interruption count, and the event log (newest first).
+ */
+function ItemTimeline({ item, events, zones }) {
+  const { timeInStatus, interruptions } = summarizeItemEvents(events, item);
+
+  const fieldLabels = {
+    title: 'title',
+    notes: 'notes',
+    context: 'category',
+    zone_id: 'zone',
+    zone_ids: 'zones',
+    due_date: 'due date',
+    subtasks: 'checklist',
+    sources: 'sources',
+    findings: 'findings',
+    recurrence: 'repeat',
+  };
+
+  const zoneName = (id) => zones.find(z => z.id === id)?.name ?? 'deleted zone';
+
+  const describeZoneChange = ({ from, to }) => {
+    const added = (to ?? []).filter(id => !(from ?? []).includes(id)).map(zoneName);
+    const removed = (from ?? []).filter(id => !(to ?? []).includes(id)).map(zoneName);
+    return [
+      added.length > 0 && `Added to ${added.join(', ')}`,
+      removed.length > 0 && `Removed from ${removed.join(', ')}`,
+    ].filter(Boolean).join('; ') || 'Edited zones';
+  };
+
+  const describe = (event) => {
+    switch (event.type) {
+      case EVENT_TYPES.CREATED:
+        return `Created in ${STATUS_LABELS[event.to_status]}`;
+      case EVENT_TYPES.DELETED:
+        return 'Moved to the trash';
+      case EVENT_TYPES.RESTORED:
+        return 'Restored from the trash';
+      case EVENT_TYPES.STATUS_CHANGED: {
+        const move = `${STATUS_LABELS[event.from_status]} → ${STATUS_LABELS[event.to_status]}`;
+        if (!event.related_item_id) return move;
+        return event.reason ? `${move} (interrupted: ${event.reason})` : `${move} (interrupted)`;
+      }
+      default: {
+        const fields = Object.keys(event.changes || {});
+        if (fields.length === 1 && fields[0] === 'zone_ids') {
+          return describeZoneChange(event.changes.zone_ids);
+        }
+        if (fields.length === 1 && fields[0] === 'zone_id') {
+          const zone = zones.find(z => z.id === event.changes.zone_id.to);
+          return zone ? `Moved to zone ${zone.name}` : 'Removed from zone';
+        }
+        return `Edited ${fields.map(field => fieldLabels[field] || field).join(', ')}`;
+      }
+    }
+  };
+
+  return (
+    <div className="timeline">
+      <div className="timeline__summary">
+        {Object.values(STATUSES)
+          .filter(status => timeInStatus[status])
+          .map(status => (
+            <span key={status} className="timeline__stat">
+              {STATUS_LABELS[status]} {formatDuration(timeInStatus[status])}
+            </span>
+          ))}
+        <span className="timeline__stat">
+          Interrupted {interruptions}×
+        </span>
+      </div>
+
+      {events.length === 0 ? (
+        <div className="timeline__empty">No history yet</div>
+      ) : (
+        <ul className="timeline__events">
+          {[...events].reverse().map(event => (
+            <li key={event.id} className="timeline__event">
+              <span className="timeline__text">{describe(event)}</span>
+              <span className="timeline__time">
+                {new Date(event.created_at).toLocaleString()}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
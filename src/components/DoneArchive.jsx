@@ -0,0 +1,187 @@
+/**
+ * DoneArchive Component
+ * 
+ * Replaces the board with completed items, grouped by the day they were
+ * completed (most recent first). Searchable and filterable by zone and
+ * category; each item can be restored to Waiting or In Progress.
+ */
+
+import { useState, useMemo } from 'react';
+import { FilterDropdown } from './FilterDropdown';
+import { STATUSES, CONTEXTS } from '../lib/items';
+import { itemZoneIds, matchesZoneFilter, zoneFilterOptions } from '../lib/zones';
+
+const categoryOptions = Object.values(CONTEXTS).map(context => ({
+  id: context,
+  name: context.charAt(0).toUpperCase() + context.slice(1),
+}));
+
+export function DoneArchive({ 
+  doneItems,
+  loading,
+  error,
+  boardItems,
+  zones,
+  selectedItemId,
+  onItemClick,
+  onRestore,
+  onClose,
+}) {
+  const [search, setSearch] = useState('');
+  const [zoneIds, setZoneIds] = useState([]);
+  const [categoryIds, setCategoryIds] = useState([]);
+
+  // Include items finished or reopened on this board that haven't synced yet
+  const groups = useMemo(() => {
+    const boardStatus = new Map(boardItems.map(item => [item.id, item.status]));
+    const justDone = boardItems.filter(item =>
+      item.status === STATUSES.DONE && !doneItems.some(done => done.id === item.id)
+    );
+    const query = search.trim().toLowerCase();
+
+    const visible = [...justDone, ...doneItems]
+      .filter(item => (boardStatus.get(item.id) ?? STATUSES.DONE) === STATUSES.DONE)
+      .filter(item => matchesZoneFilter(item, zoneIds, zones))
+      .filter(item => categoryIds.length === 0 || categoryIds.includes(item.context))
+      .filter(item => !query || [item.title, item.notes, item.ref_code]
+        .some(text => text?.toLowerCase().includes(query))
+      )
+      .sort((a, b) => (b.completed_at ?? '').localeCompare(a.completed_at ?? ''));
+
+    return groupByDay(visible);
+  }, [boardItems, doneItems, zones, search, zoneIds, categoryIds]);
+
+  return (
+    <div className="archive-view">
+      <div className="archive-view__toolbar">
+        <span className="board__title">Done</span>
+        <input
+          type="search"
+          className="archive-view__search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search done items..."
+        />
+        <FilterDropdown
+          label="Zones"
+          options={zoneFilterOptions(zones)}
+          selectedIds={zoneIds}
+          onChange={setZoneIds}
+        />
+        <FilterDropdown
+          label="Category"
+          options={categoryOptions}
+          selectedIds={categoryIds}
+          onChange={setCategoryIds}
+        />
+        <button className="archive-view__close" onClick={onClose}>
+          Back to board
+        </button>
+      </div>
+
+      <div className="archive-view__list">
+        {loading && <div className="board__empty">Loading...</div>}
+        {error && <div className="board__empty">Error: {error}</div>}
+        {!loading && !error && groups.length === 0 && (
+          <div className="board__empty">No completed items</div>
+        )}
+
+        {groups.map(({ day, items }) => (
+          <section key={day} className="archive-view__day">
+            <div className="board__header">
+              <span className="board__title">{formatDay(day)}</span>
+              <span className="board__count">{items.length}</span>
+            </div>
+            {items.map(item => (
+              <div
+                key={item.id}
+                className={`archive-view__item ${item.id === selectedItemId ? 'archive-view__item--selected' : ''}`}
+                onClick={() => onItemClick(item)}
+              >
+                <div className="archive-view__item-main">
+                  <div className="item-card__title">{item.title}</div>
+                  <div className="item-card__meta">
+                    <span className="item-card__context">{item.context}</span>
+                    {zones.filter(zone => itemZoneIds(item).includes(zone.id)).map(zone => (
+                      <span 
+                        key={zone.id}
+                        className="item-card__zone"
+                        style={zone.color ? { '--zone-color': zone.color } : undefined}
+                      >
+                        {zone.name}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+                <div className="archive-view__actions">
+                  <button
+                    className="status-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onRestore(item, STATUSES.WAITING);
+                    }}
+                  >
+                    Restore to Waiting
+                  </button>
+                  <button
+                    className="status-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onRestore(item, STATUSES.IN_PROGRESS);
+                    }}
+                  >
+                    Restore to In Progress
+                  </button>
+                </div>
+              </div>
+            ))}
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Group items (sorted by completion) by local completion day
+ * @returns {Array<{day: string, items: Array}>} day is YYYY-MM-DD, or '' if unknown
+ */
+function groupByDay(items) {
+  const groups = [];
+
+  for (const item of items) {
+    const day = item.completed_at ? toDayKey(new Date(item.completed_at)) : '';
+    const last = groups.at(-1);
+    if (last?.day === day) {
+      last.items.push(item);
+    } else {
+      groups.push({ day, items: [item] });
+    }
+  }
+
+  return groups;
+}
+
+function toDayKey(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatDay(day) {
+  if (!day) return 'Unknown date';
+
+  const today = new Date();
+  const yesterday = new Date(today);
+  yesterday.setDate(today.getDate() - 1);
+
+  if (day === toDayKey(today)) return 'Today';
+  if (day === toDayKey(yesterday)) return 'Yesterday';
+
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date).toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: year === today.getFullYear() ? undefined : 'numeric',
+  });
+}
@@ -0,0 +1,28 @@
+/**
+ * DueBadge Component
+ *
+ * How far away an item's due date is ("in 2h", "overdue 3d"),
+ * with the exact date and time on hover.
+ */
+
+import { useNow } from '../hooks/useNow';
+import { parseDueDate } from '../lib/dueDates';
+import { formatDueRelative } from '../lib/time';
+
+export function DueBadge({ dueDate, className = 'due-badge' }) {
+  const now = useNow(60000);
+  const due = parseDueDate(dueDate);
+
+  if (!due) return null;
+
+  const isOverdue = due.getTime() <= now;
+
+  return (
+    <span
+      className={`${className}${isOverdue ? ` ${className}--overdue` : ''}`}
+      title={due.toLocaleString()}
+    >
+      {formatDueRelative(due.getTime(), now)}
+    </span>
+  );
+}
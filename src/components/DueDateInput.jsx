@@ -0,0 +1,36 @@
+/**
+ * DueDateInput Component
+ *
+ * Date and time pickers for a due date, in local time.
+ * Without a time the due date falls at the reminder hour.
+ */
+
+import {
+  dueDateInputValue,
+  dueTimeInputValue,
+  combineDueDate,
+} from '../lib/dueDates';
+
+export function DueDateInput({ value, onChange, disabled = false }) {
+  const date = dueDateInputValue(value);
+  const time = dueTimeInputValue(value);
+
+  return (
+    <div className="due-date-input">
+      <input
+        type="date"
+        className="details-panel__select"
+        value={date}
+        onChange={(e) => onChange(combineDueDate(e.target.value, time))}
+        disabled={disabled}
+      />
+      <input
+        type="time"
+        className="details-panel__select due-date-input__time"
+        value={time}
+        onChange={(e) => onChange(combineDueDate(date, e.target.value))}
+        disabled={disabled || !date}
+      />
+    </div>
+  );
+}
@@ -3,6 +3,8 @@
  * 
  * Multiselect dropdown for filtering items.
  * Used for zones and categories.
+ * Options with a parentId render as an indented tree (children right after
+ * their parent) that can be expanded and collapsed.
  */
 
 import { useState, useRef, useEffect } from 'react';
@@ -14,6 +16,7 @@ export function FilterDropdown({
   onChange,
 }) {
   const [isOpen, setIsOpen] = useState(false);
+  const [collapsedIds, setCollapsedIds] = useState([]);
   const dropdownRef = useRef(null);
 
   // Close dropdown when clicking outside
@@ -40,6 +43,24 @@ export function FilterDropdown({
     onChange([]);
   };
 
+  const toggleCollapsed = (e, id) => {
+    e.stopPropagation();
+    setCollapsedIds(ids => ids.includes(id) ? ids.filter(collapsedId => collapsedId !== id) : [...ids, id]);
+  };
+
+  // Depth of each option, and whether it sits under a collapsed parent
+  const depths = new Map();
+  const hiddenIds = new Set();
+  for (const option of options) {
+    const parentId = option.parentId ?? null;
+    depths.set(option.id, parentId && depths.has(parentId) ? depths.get(parentId) + 1 : 0);
+    if (parentId && (collapsedIds.includes(parentId) || hiddenIds.has(parentId))) {
+      hiddenIds.add(option.id);
+    }
+  }
+  const parentIds = new Set(options.map(option => option.parentId).filter(Boolean));
+  const visibleOptions = options.filter(option => !hiddenIds.has(option.id));
+
   const hasSelection = selectedIds.length > 0;
 
   // Get selected option names
@@ -72,12 +93,26 @@ export function FilterDropdown({
               </span>
             </div>
           ) : (
-            options.map(option => (
+            visibleOptions.map(option => (
               <div 
                 key={option.id} 
                 className="filter-dropdown__option"
+                style={{ '--depth': depths.get(option.id) }}
                 onClick={() => toggleOption(option.id)}
               >
+                {parentIds.size > 0 && (
+                  parentIds.has(option.id) ? (
+                    <button
+                      className="filter-dropdown__toggle"
+                      onClick={(e) => toggleCollapsed(e, option.id)}
+                      aria-label={collapsedIds.includes(option.id) ? `Expand ${option.name}` : `Collapse ${option.name}`}
+                    >
+                      {collapsedIds.includes(option.id) ? '▸' : '▾'}
+                    </button>
+                  ) : (
+                    <span className="filter-dropdown__toggle filter-dropdown__toggle--empty" />
+                  )
+                )}
                 <div className={`filter-dropdown__checkbox ${selectedIds.includes(option.id) ? 'filter-dropdown__checkbox--checked' : ''}`}>
                   {selectedIds.includes(option.id) && (
                     <span className="filter-dropdown__checkbox-icon">✓</span>
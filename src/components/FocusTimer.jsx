@@ -0,0 +1,23 @@
+/**
+ * FocusTimer Component
+ * 
+ * Total focused time of an item, ticking while a session is open.
+ */
+
+import { useNow } from '../hooks/useNow';
+import { totalFocusTime } from '../lib/focus';
+import { formatElapsed } from '../lib/time';
+
+export function FocusTimer({ sessions, className = 'focus-timer' }) {
+  const isActive = sessions.some(session => !session.ended_at);
+  const now = useNow(isActive ? 1000 : null);
+
+  return (
+    <span
+      className={`${className}${isActive ? ` ${className}--active` : ''}`}
+      title={`${sessions.length} focus session${sessions.length === 1 ? '' : 's'}`}
+    >
+      {formatElapsed(totalFocusTime(sessions, now))}
+    </span>
+  );
+}
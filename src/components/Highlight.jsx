@@ -0,0 +1,25 @@
+/**
+ * Highlight Component
+ *
+ * Text with the parts matching search terms marked.
+ */
+
+import { highlightRanges } from '../lib/search';
+
+export function Highlight({ text, terms = [] }) {
+  const ranges = terms.length > 0 ? highlightRanges(text, terms) : [];
+
+  if (ranges.length === 0) return text;
+
+  const parts = [];
+  let position = 0;
+
+  for (const { start, end } of ranges) {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start} className="highlight">{text.slice(start, end)}</mark>);
+    position = end;
+  }
+  parts.push(text.slice(position));
+
+  return <>{parts}</>;
+}
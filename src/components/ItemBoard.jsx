@@ -4,19 +4,26 @@
  * Left side of the app containing:
  * - Waiting board (left column, full height)
  * - Current board (right column, top)
- * - In Progress board (right column, bottom)
+ * - In Progress board (right column, middle)
+ * - Done drop zone (right column, bottom)
  * 
  * Supports drag-and-drop between boards.
+ * Search matches are highlighted on the cards.
  */
 
 import { useState } from 'react';
 import { ItemCard } from './ItemCard';
 import { STATUSES } from '../lib/items';
+import { compareRanks } from '../lib/rank';
+import { itemZoneIds } from '../lib/zones';
 
 export function ItemBoard({ 
   items, 
   zones,
   selectedItemId,
+  currentFocusSessions,
+  interruptedItem,
+  highlightTerms = [],
   onItemClick, 
   onStatusChange,
   onItemReorder,
@@ -25,20 +32,23 @@ export function ItemBoard({
   const [draggedItem, setDraggedItem] = useState(null);
   const [dragOverItemId, setDragOverItemId] = useState(null);
 
-  // Separate items by status and sort by priority_order
+  // Separate items by status and sort by rank
   const currentItem = items.find(item => item.status === STATUSES.CURRENT);
   const waitingItems = items
     .filter(item => item.status === STATUSES.WAITING)
-    .sort((a, b) => a.priority_order - b.priority_order);
+    .sort(compareRanks);
   const inProgressItems = items
     .filter(item => item.status === STATUSES.IN_PROGRESS)
-    .sort((a, b) => a.priority_order - b.priority_order);
+    .sort(compareRanks);
 
-  // Enrich items with zone names
-  const enrichWithZone = (item) => ({
-    ...item,
-    zone_name: item.zone_id ? zones.find(z => z.id === item.zone_id)?.name : null,
-  });
+  // Enrich items with their zones (in zone order)
+  const enrichWithZone = (item) => {
+    const zoneIds = itemZoneIds(item);
+    return {
+      ...item,
+      item_zones: zones.filter(zone => zoneIds.includes(zone.id)),
+    };
+  };
 
   // Drag handlers for board areas (status change)
   const handleDragOver = (e, target) => {
@@ -113,8 +123,8 @@ export function ItemBoard({
     // Get all items in the same board
     const boardItems = items.filter(item => item.status === status);
     
-    // Sort by priority_order
-    boardItems.sort((a, b) => a.priority_order - b.priority_order);
+    // Sort by rank
+    boardItems.sort(compareRanks);
     
     // Remove dragged item
     const withoutDragged = boardItems.filter(item => item.id !== draggedItem.id);
@@ -127,7 +137,7 @@ export function ItemBoard({
     newOrder.splice(targetIndex, 0, draggedItem);
     
     // Call reorder with the new order for just these items
-    onItemReorder(newOrder);
+    onItemReorder(newOrder, draggedItem.id);
   };
 
   return (
@@ -152,6 +162,7 @@ export function ItemBoard({
                   key={item.id}
                   item={enrichedItem}
                   isSelected={item.id === selectedItemId}
+                  highlightTerms={highlightTerms}
                   isDragOver={dragOverItemId === item.id}
                   onClick={onItemClick}
                   onDragStart={handleCardDragStart}
@@ -180,12 +191,23 @@ export function ItemBoard({
             </div>
             <div className="board__items board__items--current">
               {currentItem ? (
-                <ItemCard
-                  item={enrichWithZone(currentItem)}
-                  isSelected={currentItem.id === selectedItemId}
-                  isCurrent
-                  onClick={onItemClick}
-                />
+                <>
+                  <ItemCard
+                    item={enrichWithZone(currentItem)}
+                    isSelected={currentItem.id === selectedItemId}
+                    highlightTerms={highlightTerms}
+                    isCurrent
+                    focusSessions={currentFocusSessions}
+                    onClick={onItemClick}
+                    onDragStart={handleCardDragStart}
+                    onDragEnd={handleCardDragEnd}
+                  />
+                  {interruptedItem && (
+                    <div className="board__resume">
+                      Then back to "{interruptedItem.title}"
+                    </div>
+                  )}
+                </>
               ) : (
                 <div className="board__empty">
                   Drag an item here to set as current focus
@@ -213,6 +235,7 @@ export function ItemBoard({
                     key={item.id}
                     item={enrichedItem}
                     isSelected={item.id === selectedItemId}
+                    highlightTerms={highlightTerms}
                     isDragOver={dragOverItemId === item.id}
                     onClick={onItemClick}
                     onDragStart={handleCardDragStart}
@@ -225,6 +248,18 @@ export function ItemBoard({
               })}
             </div>
           </div>
+
+          {/* Done drop zone */}
+          <div 
+            className={`board board--done ${dragOverTarget === 'done' ? 'board--drag-over' : ''}`}
+            onDragOver={(e) => handleDragOver(e, 'done')}
+            onDragLeave={handleDragLeave}
+            onDrop={(e) => handleDrop(e, STATUSES.DONE)}
+          >
+            <div className="board__empty">
+              Drop an item here to mark it done
+            </div>
+          </div>
         </div>
       </div>
     </div>
@@ -2,15 +2,31 @@
  * ItemCard Component
  * 
  * Simple rectangle displaying item info.
- * No buttons - just title, context, and zone.
+ * No buttons - just title, context, zones, checklist and reading progress.
+ * Recurring items are marked with their repeat rule; items with a due date
+ * show how far away it is, and escalated overdue items are marked.
+ * While searching, matches are highlighted, with an excerpt of the notes
+ * or the ref code when that's where the match is.
+ * The current item also shows its focused time.
  * Supports drag and selection.
  */
 
+import { FocusTimer } from './FocusTimer';
+import { STATUSES } from '../lib/items';
+import { subtaskProgress } from '../lib/subtasks';
+import { readingProgress } from '../lib/research';
+import { describeRecurrence } from '../lib/recurrence';
+import { DueBadge } from './DueBadge';
+import { Highlight } from './Highlight';
+import { highlightRanges, matchSnippet } from '../lib/search';
+
 export function ItemCard({ 
   item, 
   isSelected, 
   isCurrent,
+  focusSessions,
   isDragOver,
+  highlightTerms = [],
   onClick,
   onDragStart,
   onDragEnd,
@@ -23,8 +39,19 @@ export function ItemCard({
     isSelected && 'item-card--selected',
     isCurrent && 'item-card--current',
     isDragOver && 'item-card--drag-over',
+    item.escalated_at && item.status !== STATUSES.DONE && 'item-card--overdue',
   ].filter(Boolean).join(' ');
 
+  const progress = subtaskProgress(item);
+  const reading = readingProgress(item);
+
+  // Show where a search matched when it isn't the title
+  const titleMatches = highlightRanges(item.title, highlightTerms).length > 0;
+  const notesSnippet = highlightTerms.length > 0 && !titleMatches
+    ? matchSnippet(item.notes || '', highlightTerms)
+    : null;
+  const refMatches = highlightTerms.length > 0 && highlightRanges(item.ref_code, highlightTerms).length > 0;
+
   const handleDragStart = (e) => {
     e.dataTransfer.setData('text/plain', item.id);
     e.dataTransfer.effectAllowed = 'move';
@@ -59,17 +86,58 @@ export function ItemCard({
       onDrop={handleDrop}
     >
       <div className="item-card__title">
-        {item.title}
+        <Highlight text={item.title} terms={highlightTerms} />
       </div>
+      {notesSnippet && (
+        <div className="item-card__snippet">
+          <Highlight text={notesSnippet} terms={highlightTerms} />
+        </div>
+      )}
       <div className="item-card__meta">
         <span className="item-card__context">
           {item.context}
         </span>
-        {item.zone_name && (
-          <span className="item-card__zone">
-            {item.zone_name}
+        {refMatches && (
+          <span className="item-card__ref">
+            <Highlight text={item.ref_code} terms={highlightTerms} />
+          </span>
+        )}
+        {item.due_date && item.status !== STATUSES.DONE && (
+          <DueBadge dueDate={item.due_date} className="item-card__due" />
+        )}
+        {item.recurrence && (
+          <span className="item-card__repeat" title={describeRecurrence(item.recurrence)}>
+            ↻
           </span>
         )}
+        {item.item_zones?.map(zone => (
+          <span 
+            key={zone.id}
+            className="item-card__zone"
+            style={zone.color ? { '--zone-color': zone.color } : undefined}
+          >
+            {zone.name}
+          </span>
+        ))}
+        {progress.total > 0 && (
+          <span 
+            className={`item-card__progress ${progress.done === progress.total ? 'item-card__progress--complete' : ''}`}
+            title="Subtasks done"
+          >
+            ☑ {progress.done}/{progress.total}
+          </span>
+        )}
+        {reading.total > 0 && (
+          <span 
+            className={`item-card__progress ${reading.read === reading.total ? 'item-card__progress--complete' : ''}`}
+            title="Sources read"
+          >
+            📖 {reading.read}/{reading.total}
+          </span>
+        )}
+        {isCurrent && focusSessions && (
+          <FocusTimer sessions={focusSessions} className="item-card__focus" />
+        )}
       </div>
     </div>
   );
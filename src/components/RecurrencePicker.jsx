@@ -0,0 +1,107 @@
+/**
+ * RecurrencePicker Component
+ *
+ * Repeat rule of a reminder: none, daily (every N days), weekly on some
+ * weekdays, monthly, or N days after it was done.
+ */
+
+import { RECURRENCE_TYPES, WEEKDAY_LABELS } from '../lib/recurrence';
+import { parseDueDate } from '../lib/dueDates';
+
+const TYPE_LABELS = {
+  [RECURRENCE_TYPES.DAILY]: 'Every N days',
+  [RECURRENCE_TYPES.WEEKLY]: 'Weekly',
+  [RECURRENCE_TYPES.MONTHLY]: 'Monthly',
+  [RECURRENCE_TYPES.AFTER]: 'N days after done',
+};
+
+export function RecurrencePicker({
+  value,
+  dueDate,
+  onChange,
+  disabled = false,
+}) {
+  const handleTypeChange = (type) => {
+    switch (type) {
+      case RECURRENCE_TYPES.DAILY:
+      case RECURRENCE_TYPES.AFTER:
+        onChange({ type, interval: value?.interval ?? 1 });
+        break;
+      case RECURRENCE_TYPES.WEEKLY: {
+        // Start from the due date's weekday
+        const day = (parseDueDate(dueDate) ?? new Date()).getDay();
+        onChange({ type, days: [day] });
+        break;
+      }
+      case RECURRENCE_TYPES.MONTHLY:
+        onChange({ type });
+        break;
+      default:
+        onChange(null);
+    }
+  };
+
+  const toggleDay = (day) => {
+    const days = value.days.includes(day)
+      ? value.days.filter(d => d !== day)
+      : [...value.days, day].sort();
+
+    // Keep at least one day
+    if (days.length > 0) {
+      onChange({ ...value, days });
+    }
+  };
+
+  const hasInterval = value?.type === RECURRENCE_TYPES.DAILY || value?.type === RECURRENCE_TYPES.AFTER;
+
+  return (
+    <div className="recurrence-picker">
+      <div className="recurrence-picker__row">
+        <select
+          className="details-panel__select"
+          value={value?.type ?? ''}
+          onChange={(e) => handleTypeChange(e.target.value)}
+          disabled={disabled}
+        >
+          <option value="">Does not repeat</option>
+          {Object.values(RECURRENCE_TYPES).map(type => (
+            <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+          ))}
+        </select>
+
+        {hasInterval && (
+          <label className="recurrence-picker__interval">
+            N =
+            <input
+              type="number"
+              min="1"
+              className="details-panel__select"
+              value={value.interval ?? 1}
+              onChange={(e) => {
+                const interval = parseInt(e.target.value, 10);
+                if (interval >= 1) onChange({ ...value, interval });
+              }}
+              disabled={disabled}
+            />
+          </label>
+        )}
+      </div>
+
+      {value?.type === RECURRENCE_TYPES.WEEKLY && (
+        <div className="recurrence-picker__days">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              className={`zone-picker__chip ${value.days.includes(day) ? 'zone-picker__chip--selected' : ''}`}
+              onClick={() => toggleDay(day)}
+              disabled={disabled}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,249 @@
+/**
+ * ResearchLog Component
+ *
+ * Reading list of a research item (sources with type and read/unread) and the
+ * findings taken from each source. Findings not tied to a source are listed
+ * as general findings.
+ */
+
+import { useState } from 'react';
+import {
+  SOURCE_TYPES,
+  SOURCE_TYPE_LABELS,
+  itemSources,
+  itemFindings,
+  sourceLabel,
+  addSource,
+  updateSource,
+  removeSource,
+  addFinding,
+  removeFinding,
+  readingProgress,
+} from '../lib/research';
+
+export function ResearchLog({
+  item,
+  onUpdate,
+  disabled = false,
+}) {
+  const [url, setUrl] = useState('');
+  const [title, setTitle] = useState('');
+  const [type, setType] = useState(SOURCE_TYPES.ARTICLE);
+
+  const sources = itemSources(item);
+  const findings = itemFindings(item);
+  const { read, total } = readingProgress(item);
+
+  const handleAddSource = (e) => {
+    e.preventDefault();
+    if (!url.trim() && !title.trim()) return;
+
+    onUpdate({ sources: addSource(sources, { url, title, type }) });
+    setUrl('');
+    setTitle('');
+  };
+
+  const handleAddFinding = (text, sourceId) => {
+    onUpdate({ findings: addFinding(findings, { text, source_id: sourceId }) });
+  };
+
+  const generalFindings = findings.filter(finding =>
+    !sources.some(source => source.id === finding.source_id)
+  );
+
+  return (
+    <div className="research-log">
+      {total > 0 && (
+        <div className="research-log__summary">
+          {read}/{total} sources read
+        </div>
+      )}
+
+      <ul className="research-log__sources">
+        {sources.map(source => (
+          <SourceRow
+            key={source.id}
+            source={source}
+            findings={findings.filter(finding => finding.source_id === source.id)}
+            disabled={disabled}
+            onToggleRead={() => onUpdate({ sources: updateSource(sources, source.id, { read: !source.read }) })}
+            onTypeChange={(newType) => onUpdate({ sources: updateSource(sources, source.id, { type: newType }) })}
+            onRemove={() => onUpdate(removeSource(item, source.id))}
+            onAddFinding={(text) => handleAddFinding(text, source.id)}
+            onRemoveFinding={(id) => onUpdate({ findings: removeFinding(findings, id) })}
+          />
+        ))}
+      </ul>
+
+      {!disabled && (
+        <form className="research-log__add" onSubmit={handleAddSource}>
+          <input
+            type="url"
+            className="details-panel__select"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="https://..."
+          />
+          <input
+            type="text"
+            className="details-panel__select"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Title (optional)"
+          />
+          <div className="research-log__add-row">
+            <TypeSelect value={type} onChange={setType} />
+            <button
+              type="submit"
+              className="status-btn"
+              disabled={!url.trim() && !title.trim()}
+            >
+              Add Source
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="research-log__general">
+        <div className="research-log__heading">General findings</div>
+        <FindingList
+          findings={generalFindings}
+          disabled={disabled}
+          onAdd={(text) => handleAddFinding(text, null)}
+          onRemove={(id) => onUpdate({ findings: removeFinding(findings, id) })}
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * SourceRow Component
+ *
+ * One source: read toggle, link, type, and its findings.
+ */
+function SourceRow({
+  source,
+  findings,
+  disabled,
+  onToggleRead,
+  onTypeChange,
+  onRemove,
+  onAddFinding,
+  onRemoveFinding,
+}) {
+  const handleRemove = () => {
+    const note = findings.length > 0 ? ' Its findings are kept as general findings.' : '';
+    if (window.confirm(`Remove "${sourceLabel(source)}"?${note}`)) {
+      onRemove();
+    }
+  };
+
+  return (
+    <li className={`research-log__source ${source.read ? 'research-log__source--read' : ''}`}>
+      <div className="research-log__source-main">
+        <input
+          type="checkbox"
+          className="checklist__checkbox"
+          checked={source.read}
+          onChange={onToggleRead}
+          disabled={disabled}
+          title={source.read ? 'Mark as unread' : 'Mark as read'}
+        />
+        {source.url ? (
+          <a
+            className="research-log__link"
+            href={source.url}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            {sourceLabel(source)}
+          </a>
+        ) : (
+          <span className="research-log__link">{sourceLabel(source)}</span>
+        )}
+        <TypeSelect value={source.type} onChange={onTypeChange} disabled={disabled} />
+        {!disabled && (
+          <button
+            className="checklist__icon-btn checklist__icon-btn--danger"
+            onClick={handleRemove}
+            title="Remove source"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      <FindingList
+        findings={findings}
+        disabled={disabled}
+        onAdd={onAddFinding}
+        onRemove={onRemoveFinding}
+      />
+    </li>
+  );
+}
+
+/**
+ * FindingList Component
+ *
+ * Findings with an input to add another.
+ */
+function FindingList({ findings, disabled, onAdd, onRemove }) {
+  const [text, setText] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    onAdd(text);
+    setText('');
+  };
+
+  return (
+    <div className="research-log__findings">
+      {findings.map(finding => (
+        <div key={finding.id} className="research-log__finding">
+          <span className="research-log__finding-text">{finding.text}</span>
+          {!disabled && (
+            <button
+              className="checklist__icon-btn checklist__icon-btn--danger"
+              onClick={() => onRemove(finding.id)}
+              title="Delete finding"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      ))}
+      {!disabled && (
+        <form onSubmit={handleSubmit}>
+          <input
+            type="text"
+            className="research-log__finding-input"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Add a finding..."
+          />
+        </form>
+      )}
+    </div>
+  );
+}
+
+function TypeSelect({ value, onChange, disabled = false }) {
+  return (
+    <select
+      className="research-log__type"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+    >
+      {Object.values(SOURCE_TYPES).map(sourceType => (
+        <option key={sourceType} value={sourceType}>
+          {SOURCE_TYPE_LABELS[sourceType]}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,45 @@
+/**
+ * Toast Component
+ * 
+ * Short-lived message at the bottom of the screen, with an optional action.
+ * Hides itself after a few seconds (calling onDismiss); give it a new key to show it again.
+ */
+
+import { useState, useEffect } from 'react';
+
+export function Toast({ 
+  message, 
+  actionLabel, 
+  onAction,
+  onDismiss,
+  duration = 5000,
+}) {
+  const [visible, setVisible] = useState(true);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setVisible(false);
+      onDismiss?.();
+    }, duration);
+    return () => clearTimeout(timer);
+  }, [duration, onDismiss]);
+
+  if (!visible) return null;
+
+  const handleAction = () => {
+    setVisible(false);
+    onAction?.();
+    onDismiss?.();
+  };
+
+  return (
+    <div className="toast" role="status">
+      <span className="toast__message">{message}</span>
+      {actionLabel && (
+        <button className="toast__action" onClick={handleAction}>
+          {actionLabel}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+/**
+ * TrashView Component
+ * 
+ * Replaces the board with deleted items, most recently deleted first.
+ * Items can be restored or purged for good; anything left in the trash
+ * is purged automatically after the retention period.
+ */
+
+import { useNow } from '../hooks/useNow';
+import { STATUS_LABELS, TRASH_RETENTION_DAYS } from '../lib/items';
+import { formatDuration } from '../lib/time';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function TrashView({ 
+  items,
+  loading,
+  error,
+  selectedItemId,
+  onItemClick,
+  onRestore,
+  onPurge,
+  onPurgeAll,
+  onClose,
+}) {
+  const now = useNow(60 * 1000);
+
+  const handlePurge = (item) => {
+    if (window.confirm(`Permanently delete "${item.title}"? This can't be undone.`)) {
+      onPurge(item.id);
+    }
+  };
+
+  const handlePurgeAll = () => {
+    if (window.confirm(`Permanently delete ${items.length} items? This can't be undone.`)) {
+      onPurgeAll();
+    }
+  };
+
+  const timeLeft = (item) => {
+    const purgeAt = new Date(item.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS;
+    return formatDuration(Math.max(0, purgeAt - now));
+  };
+
+  return (
+    <div className="archive-view">
+      <div className="archive-view__toolbar">
+        <span className="board__title">Trash</span>
+        <span className="trash__hint">
+          Items are deleted for good after {TRASH_RETENTION_DAYS} days
+        </span>
+        {items.length > 0 && (
+          <button className="status-btn status-btn--danger" onClick={handlePurgeAll}>
+            Empty Trash
+          </button>
+        )}
+        <button className="archive-view__close" onClick={onClose}>
+          Back to board
+        </button>
+      </div>
+
+      <div className="archive-view__list">
+        {loading && <div className="board__empty">Loading...</div>}
+        {error && <div className="board__empty">Error: {error}</div>}
+        {!loading && !error && items.length === 0 && (
+          <div className="board__empty">Trash is empty</div>
+        )}
+
+        {items.length > 0 && (
+          <section className="archive-view__day">
+            {items.map(item => (
+              <div
+                key={item.id}
+                className={`archive-view__item ${item.id === selectedItemId ? 'archive-view__item--selected' : ''}`}
+                onClick={() => onItemClick(item)}
+              >
+                <div className="archive-view__item-main">
+                  <div className="item-card__title">{item.title}</div>
+                  <div className="item-card__meta">
+                    <span className="item-card__context">{STATUS_LABELS[item.status]}</span>
+                    <span className="item-card__zone">
+                      Deleted {new Date(item.deleted_at).toLocaleDateString()}, purged in {timeLeft(item)}
+                    </span>
+                  </div>
+                </div>
+                <div className="archive-view__actions">
+                  <button
+                    className="status-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onRestore(item);
+                    }}
+                  >
+                    Restore
+                  </button>
+                  <button
+                    className="status-btn status-btn--danger"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handlePurge(item);
+                    }}
+                  >
+                    Delete Forever
+                  </button>
+                </div>
+              </div>
+            ))}
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
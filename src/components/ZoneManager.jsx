@@ -0,0 +1,275 @@
+/**
+ * ZoneManager Component
+ * 
+ * Modal for managing zones: create, rename, recolor, reorder, nest, merge and delete.
+ * Merging moves every item of one zone into another and removes the first.
+ * Zones are shown as a tree; reordering moves a zone among its siblings.
+ * A zone action that fails shows its error until dismissed.
+ */
+
+import { useState } from 'react';
+import { ZONE_COLORS, buildZoneTree, zoneDescendantIds } from '../lib/zones';
+
+export function ZoneManager({ 
+  zones, 
+  error,
+  onDismissError,
+  onAdd,
+  onUpdate,
+  onMove,
+  onNest,
+  onMerge,
+  onRemove,
+  onClose,
+}) {
+  const tree = buildZoneTree(zones);
+
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(ZONE_COLORS[0]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    const zone = await onAdd(newName.trim(), { color: newColor });
+    if (zone) {
+      setNewName('');
+    }
+  };
+
+  return (
+    <>
+      <div className="modal-overlay" onClick={onClose} />
+      <div className="modal zone-manager">
+        <div className="modal__header">
+          <h2 className="modal__title">Zones</h2>
+          <button className="modal__close" onClick={onClose}>✕</button>
+        </div>
+
+        {error && (
+          <div className="zone-manager__error" role="alert">
+            <span>Error: {error}</span>
+            <button className="modal__close" onClick={onDismissError} title="Dismiss">✕</button>
+          </div>
+        )}
+
+        <ul className="zone-manager__list">
+          {zones.length === 0 && (
+            <li className="zone-manager__empty">No zones yet</li>
+          )}
+          {tree.map(({ zone, depth }) => {
+            const siblings = tree.filter(row => (row.zone.parent_id ?? null) === (zone.parent_id ?? null));
+            const index = siblings.findIndex(row => row.zone.id === zone.id);
+
+            return (
+              <ZoneRow
+                key={`${zone.id}:${zone.name}`}
+                zone={zone}
+                zones={zones}
+                depth={depth}
+                isFirst={index === 0}
+                isLast={index === siblings.length - 1}
+                onUpdate={onUpdate}
+                onMoveUp={() => onMove(zone.id, index - 1)}
+                onMoveDown={() => onMove(zone.id, index + 1)}
+                onNest={onNest}
+                onMerge={onMerge}
+                onRemove={onRemove}
+              />
+            );
+          })}
+        </ul>
+
+        <form className="zone-manager__add" onSubmit={handleAdd}>
+          <ColorPicker value={newColor} onChange={setNewColor} />
+          <input
+            type="text"
+            className="modal__input"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New zone name"
+          />
+          <button 
+            type="submit" 
+            className="modal__btn modal__btn--primary"
+            disabled={!newName.trim()}
+          >
+            Add
+          </button>
+        </form>
+      </div>
+    </>
+  );
+}
+
+/**
+ * ZoneRow Component
+ * 
+ * One zone: color, name (renamed on blur or Enter), order, parent and merge controls.
+ */
+function ZoneRow({ 
+  zone, 
+  zones,
+  depth,
+  isFirst,
+  isLast,
+  onUpdate,
+  onMoveUp,
+  onMoveDown,
+  onNest,
+  onMerge,
+  onRemove,
+}) {
+  const [name, setName] = useState(zone.name);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+
+  // A zone can't be nested in (or merged into) its own subtree
+  const descendantIds = zoneDescendantIds(zones, zone.id);
+  const parentOptions = zones.filter(z => z.id !== zone.id && !descendantIds.includes(z.id));
+
+  const commitName = async () => {
+    if (name.trim() && name.trim() !== zone.name) {
+      // A rejected rename goes back to the saved name
+      const updated = await onUpdate(zone.id, { name: name.trim() });
+      if (!updated) setName(zone.name);
+    } else {
+      setName(zone.name);
+    }
+  };
+
+  const handleMerge = () => {
+    const target = zones.find(z => z.id === mergeTargetId);
+    if (!target) return;
+
+    if (window.confirm(`Merge "${zone.name}" into "${target.name}"? Its items and sub-zones move to "${target.name}".`)) {
+      onMerge(zone.id, target.id);
+    }
+  };
+
+  const handleRemove = () => {
+    const note = descendantIds.length > 0 ? ' Its sub-zones move up a level.' : '';
+    if (window.confirm(`Delete "${zone.name}"? Its items stay, without a zone.${note}`)) {
+      onRemove(zone.id);
+    }
+  };
+
+  return (
+    <li className="zone-manager__row" style={{ '--depth': depth }}>
+      <div className="zone-manager__main">
+        <ColorPicker
+          value={zone.color}
+          onChange={(color) => onUpdate(zone.id, { color })}
+        />
+        <input
+          type="text"
+          className="zone-manager__name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={commitName}
+          onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        />
+        <button 
+          className="zone-manager__icon-btn" 
+          onClick={onMoveUp} 
+          disabled={isFirst}
+          title="Move up"
+        >
+          ↑
+        </button>
+        <button 
+          className="zone-manager__icon-btn" 
+          onClick={onMoveDown} 
+          disabled={isLast}
+          title="Move down"
+        >
+          ↓
+        </button>
+        <button 
+          className="zone-manager__icon-btn zone-manager__icon-btn--danger" 
+          onClick={handleRemove}
+          title="Delete zone"
+        >
+          ✕
+        </button>
+      </div>
+
+      {zones.length > 1 && (
+        <div className="zone-manager__merge">
+          <select
+            className="zone-manager__select"
+            value={zone.parent_id ?? ''}
+            onChange={(e) => onNest(zone.id, e.target.value || null)}
+            title="Parent zone"
+          >
+            <option value="">Top level</option>
+            {parentOptions.map(z => (
+              <option key={z.id} value={z.id}>Inside {z.name}</option>
+            ))}
+          </select>
+          <select
+            className="zone-manager__select"
+            value={mergeTargetId}
+            onChange={(e) => setMergeTargetId(e.target.value)}
+          >
+            <option value="">Merge into...</option>
+            {parentOptions.map(z => (
+              <option key={z.id} value={z.id}>{z.name}</option>
+            ))}
+          </select>
+          <button 
+            className="status-btn" 
+            onClick={handleMerge}
+            disabled={!mergeTargetId}
+          >
+            Merge
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+/**
+ * ColorPicker Component
+ * 
+ * Swatch that opens the zone color palette.
+ */
+function ColorPicker({ value, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const pick = (color) => {
+    onChange(color);
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="color-picker">
+      <button
+        type="button"
+        className="color-picker__swatch"
+        style={{ background: value || 'transparent' }}
+        onClick={() => setIsOpen(open => !open)}
+        title="Color"
+      />
+      {isOpen && (
+        <div className="color-picker__palette">
+          {ZONE_COLORS.map(color => (
+            <button
+              key={color}
+              type="button"
+              className={`color-picker__swatch ${color === value ? 'color-picker__swatch--active' : ''}`}
+              style={{ background: color }}
+              onClick={() => pick(color)}
+            />
+          ))}
+          <button
+            type="button"
+            className="color-picker__swatch color-picker__swatch--none"
+            onClick={() => pick(null)}
+            title="No color"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+/**
+ * ZonePicker Component
+ * 
+ * Multi-select for the zones of an item, shown as toggleable chips.
+ * Chips follow the zone tree; hovering one shows its full path.
+ */
+
+import { buildZoneTree, zonePath } from '../lib/zones';
+
+export function ZonePicker({ 
+  zones, 
+  selectedIds, 
+  onChange,
+  disabled = false,
+}) {
+  const toggle = (id) => {
+    onChange(selectedIds.includes(id)
+      ? selectedIds.filter(selectedId => selectedId !== id)
+      : [...selectedIds, id]
+    );
+  };
+
+  if (zones.length === 0) {
+    return <div className="zone-picker__empty">No zones yet</div>;
+  }
+
+  return (
+    <div className="zone-picker">
+      {buildZoneTree(zones).map(({ zone }) => (
+        <button
+          key={zone.id}
+          type="button"
+          className={`zone-picker__chip ${selectedIds.includes(zone.id) ? 'zone-picker__chip--selected' : ''}`}
+          style={zone.color ? { '--zone-color': zone.color } : undefined}
+          onClick={() => toggle(zone.id)}
+          disabled={disabled}
+          title={zonePath(zones, zone.id)}
+        >
+          {zone.name}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -2,7 +2,9 @@
  * Components Exports
  */
 
+export { BatchAddForm } from './BatchAddForm';
 export { CommandArea } from './CommandArea';
+export { CommandPalette } from './CommandPalette';
 export { CommandTable } from './CommandTable';
 export { ContextDrawer } from './ContextDrawer';
 export { DetailsPanel } from './DetailsPanel';
@@ -10,3 +12,9 @@ export { FilterDropdown } from './FilterDropdown';
 export { ItemBoard } from './ItemBoard';
 export { ItemCard } from './ItemCard';
 export { ItemRow } from './ItemRow';
+export { Toast } from './Toast';
+export { FocusTimer } from './FocusTimer';
+export { DoneArchive } from './DoneArchive';
+export { TrashView } from './TrashView';
+export { ZoneManager } from './ZoneManager';
+export { ZonePicker } from './ZonePicker';
@@ -4,3 +4,13 @@
 
 export { useItems } from './useItems';
 export { useZones } from './useZones';
+export { useHotkeys } from './useHotkeys';
+export { useItemEvents } from './useItemEvents';
+export { useFocusSessions } from './useFocusSessions';
+export { useNow } from './useNow';
+export { useInterruptions } from './useInterruptions';
+export { useDoneItems } from './useDoneItems';
+export { useTrash } from './useTrash';
+export { useReminders } from './useReminders';
+export { useEscalation } from './useEscalation';
+export { useRoute } from './useRoute';
@@ -0,0 +1,42 @@
+/**
+ * useDoneItems Hook
+ * 
+ * Loads completed items for the Done archive and keeps them live:
+ * items marked done elsewhere appear, reopened items drop out.
+ * Only loads while enabled (i.e. while the archive is open).
+ */
+
+import { useState, useEffect } from 'react';
+import { fetchDoneItems, STATUSES } from '../lib/items';
+import { subscribeToItems, mergeRowChange } from '../lib/realtime';
+
+export function useDoneItems({ enabled = true } = {}) {
+  const [state, setState] = useState({ items: [], loading: true, error: null });
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let cancelled = false;
+
+    fetchDoneItems().then(({ data, error }) => {
+      if (cancelled) return;
+      setState({ items: data || [], loading: false, error: error?.message ?? null });
+    });
+
+    const unsubscribe = subscribeToItems((payload) => {
+      setState(prev => ({
+        ...prev,
+        items: mergeRowChange(prev.items, payload, item =>
+          item.status === STATUSES.DONE && !item.deleted_at
+        ),
+      }));
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [enabled]);
+
+  return state;
+}
@@ -0,0 +1,60 @@
+/**
+ * useEscalation Hook
+ *
+ * Escalates items once their reminder time passes (see lib/escalation),
+ * including items that became overdue while the app was closed.
+ */
+
+import { useEffect, useRef } from 'react';
+import { findItemsToEscalate, shouldPromote, ESCALATION_RULES } from '../lib/escalation';
+import { nextReminderAt } from '../lib/reminders';
+import { OVERDUE_ESCALATION } from '../lib/constants';
+
+// Re-check at least this often, since timers drift while a device sleeps
+const MAX_TIMER_MS = 5 * 60 * 1000;
+
+/**
+ * @param {Array} items - Open items (with due dates)
+ * @param {Function} onEscalate - (overdueItems, shouldPromote) => void, most overdue first
+ * @param {string} rule - One of ESCALATION_RULES (default: OVERDUE_ESCALATION)
+ */
+export function useEscalation(items, onEscalate, rule = OVERDUE_ESCALATION) {
+  const onEscalateRef = useRef(onEscalate);
+
+  // Always call the latest handler
+  useEffect(() => {
+    onEscalateRef.current = onEscalate;
+  });
+
+  // Escalate overdue items, then wait for the next reminder time
+  useEffect(() => {
+    if (rule === ESCALATION_RULES.OFF) return;
+
+    let timer = null;
+
+    const check = () => {
+      clearTimeout(timer);
+      const now = Date.now();
+
+      const overdue = findItemsToEscalate(items, now);
+      if (overdue.length > 0) {
+        onEscalateRef.current(overdue, (item) => shouldPromote(item, rule));
+      }
+
+      const next = nextReminderAt(items, now);
+      timer = setTimeout(check, Math.min(next ? next - now : MAX_TIMER_MS, MAX_TIMER_MS));
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') check();
+    };
+
+    check();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [items, rule]);
+}
@@ -0,0 +1,50 @@
+/**
+ * useFocusSessions Hook
+ * 
+ * Loads the focus sessions of one item and keeps them live.
+ */
+
+import { useState, useEffect } from 'react';
+import { fetchFocusSessions } from '../lib/focus';
+import { subscribeToFocusSessions, mergeRowChange } from '../lib/realtime';
+
+export function useFocusSessions(itemId) {
+  // Sessions are stored with the item they belong to, so switching items never shows stale totals
+  const [state, setState] = useState({ itemId: null, sessions: [], error: null });
+
+  useEffect(() => {
+    if (!itemId) return;
+
+    let cancelled = false;
+
+    fetchFocusSessions(itemId).then(({ data, error }) => {
+      if (cancelled) return;
+      setState({ itemId, sessions: data || [], error: error?.message ?? null });
+    });
+
+    const unsubscribe = subscribeToFocusSessions((payload) => {
+      const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+      if (row.item_id !== itemId) return;
+
+      setState(prev => prev.itemId === itemId
+        ? { ...prev, sessions: mergeRowChange(prev.sessions, payload) }
+        : prev
+      );
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [itemId]);
+
+  const isCurrentItem = state.itemId === itemId;
+  const sessions = isCurrentItem ? state.sessions : [];
+
+  return {
+    sessions,
+    activeSession: sessions.find(session => !session.ended_at) ?? null,
+    loading: Boolean(itemId) && !isCurrentItem,
+    error: isCurrentItem ? state.error : null,
+  };
+}
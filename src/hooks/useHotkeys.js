@@ -0,0 +1,47 @@
+/**
+ * useHotkeys Hook
+ * 
+ * Binds global keyboard shortcuts.
+ * Combos are written like 'mod+shift+z', where mod is Ctrl (or Cmd on macOS).
+ * Shortcuts are ignored while typing in a field unless allowInInputs is set.
+ */
+
+import { useEffect, useRef } from 'react';
+
+export function useHotkeys(bindings, { allowInInputs = false } = {}) {
+  const bindingsRef = useRef(bindings);
+
+  // Always call the latest handlers without re-binding the listener
+  useEffect(() => {
+    bindingsRef.current = bindings;
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!allowInInputs && isEditableTarget(e.target)) return;
+
+      const handler = bindingsRef.current[toCombo(e)];
+      if (handler) {
+        e.preventDefault();
+        handler(e);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [allowInInputs]);
+}
+
+function toCombo(e) {
+  return [
+    (e.ctrlKey || e.metaKey) && 'mod',
+    e.altKey && 'alt',
+    e.shiftKey && 'shift',
+    e.key.toLowerCase(),
+  ].filter(Boolean).join('+');
+}
+
+function isEditableTarget(target) {
+  return target.isContentEditable ||
+    ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
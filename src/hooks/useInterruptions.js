@@ -0,0 +1,38 @@
+/**
+ * useInterruptions Hook
+ * 
+ * Keeps the open interruption stack loaded and live, so the app can offer
+ * to resume an interrupted item when the interrupting item is done.
+ */
+
+import { useState, useEffect } from 'react';
+import { fetchInterruptionStack } from '../lib/interruptions';
+import { subscribeToInterruptions, mergeRowChange } from '../lib/realtime';
+
+export function useInterruptions() {
+  const [state, setState] = useState({ stack: [], loading: true, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchInterruptionStack().then(({ data, error }) => {
+      if (cancelled) return;
+      setState({ stack: data || [], loading: false, error: error?.message ?? null });
+    });
+
+    // Merge changes; resolved entries leave the stack
+    const unsubscribe = subscribeToInterruptions((payload) => {
+      setState(prev => ({
+        ...prev,
+        stack: mergeRowChange(prev.stack, payload, entry => !entry.resolved_at),
+      }));
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  return state;
+}
@@ -0,0 +1,48 @@
+/**
+ * useItemEvents Hook
+ * 
+ * Loads the history of one item and keeps it live as new events are logged.
+ */
+
+import { useState, useEffect } from 'react';
+import { fetchItemEvents } from '../lib/events';
+import { subscribeToItemEvents, mergeRowChange } from '../lib/realtime';
+
+export function useItemEvents(itemId) {
+  // Events are stored with the item they belong to, so switching items never shows stale history
+  const [state, setState] = useState({ itemId: null, events: [], error: null });
+
+  useEffect(() => {
+    if (!itemId) return;
+
+    let cancelled = false;
+
+    fetchItemEvents(itemId).then(({ data, error }) => {
+      if (cancelled) return;
+      setState({ itemId, events: data || [], error: error?.message ?? null });
+    });
+
+    const unsubscribe = subscribeToItemEvents((payload) => {
+      const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+      if (row.item_id !== itemId) return;
+
+      setState(prev => prev.itemId === itemId
+        ? { ...prev, events: mergeRowChange(prev.events, payload) }
+        : prev
+      );
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [itemId]);
+
+  const isCurrentItem = state.itemId === itemId;
+
+  return {
+    events: isCurrentItem ? state.events : [],
+    loading: Boolean(itemId) && !isCurrentItem,
+    error: isCurrentItem ? state.error : null,
+  };
+}
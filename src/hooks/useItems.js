@@ -3,35 +3,93 @@
  * 
  * Manages items state with loading, mutations, and optimistic updates.
  * Enforces business rules through the data layer.
+ * 
+ * Mutations go through the outbox: they are applied optimistically, queued
+ * persistently and replayed in order, so edits survive losing the connection.
+ * 
+ * Changes made in other tabs or devices are merged in as they happen.
+ * 
+ * User actions are recorded with their inverse for undo/redo.
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import {
   fetchItems,
-  updateItemStatus,
-  reorderItems,
-  createItem,
-  updateItem,
+  repairSingleCurrent,
+  localizeUnzonedDueDates,
+  validateNewItem,
+  buildNewItem,
   STATUSES,
 } from '../lib/items';
+import {
+  MUTATIONS,
+  applyMutation,
+  executeMutation,
+  invertMutation,
+  describeMutation,
+  mutationItemIds,
+} from '../lib/mutations';
+import { enqueue, getOutbox, replayOutbox, SYNC_STATUSES } from '../lib/outbox';
+import { subscribeToItems, mergeItemChange } from '../lib/realtime';
+import { rankBetween, rerank, compareRanks, needsRebalance } from '../lib/rank';
+
+// How often to retry sending queued mutations while offline
+const RETRY_INTERVAL_MS = 30000;
+
+// Quiet period before rebalancing ranks, so it never competes with a drag
+const REBALANCE_DELAY_MS = 5000;
+
+// Undo history size, and how close together edits of the same field merge
+const HISTORY_LIMIT = 50;
+const EDIT_MERGE_WINDOW_MS = 1000;
 
 export function useItems({ includeDone = false, zoneId = null } = {}) {
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [syncStatus, setSyncStatus] = useState(() =>
+    getOutbox().length > 0 ? SYNC_STATUSES.PENDING : SYNC_STATUSES.SYNCED
+  );
+  const [pendingCount, setPendingCount] = useState(() => getOutbox().length);
+  const syncRef = useRef(null);
+  const itemsRef = useRef(items);
+  const historyRef = useRef({ undo: [], redo: [] });
+  const [historyState, setHistoryState] = useState({
+    canUndo: false,
+    canRedo: false,
+    lastAction: null,
+  });
 
   // Load items
   const load = useCallback(async () => {
     setLoading(true);
     setError(null);
 
-    const { data, error: fetchError } = await fetchItems({ includeDone, zoneId });
+    let { data, error: fetchError } = await fetchItems({ includeDone, zoneId });
+
+    // Repair single-current violations (e.g. from a racing client without atomic swaps)
+    if (!fetchError && data.filter(item => item.status === STATUSES.CURRENT).length > 1) {
+      const { repairedIds } = await repairSingleCurrent();
+      if (repairedIds.length > 0) {
+        ({ data, error: fetchError } = await fetchItems({ includeDone, zoneId }));
+      }
+    }
+
+    // Finish converting due dates that were plain dates (see localizeDueDate)
+    if (!fetchError && data.some(item => item.due_date_unzoned)) {
+      const { localizedIds } = await localizeUnzonedDueDates();
+      if (localizedIds.length > 0) {
+        ({ data, error: fetchError } = await fetchItems({ includeDone, zoneId }));
+      }
+    }
 
     if (fetchError) {
       setError(fetchError.message);
       setItems([]);
     } else {
-      setItems(data || []);
+      // Keep optimistic state for mutations that haven't reached the server yet
+      const pending = getOutbox().map(entry => entry.op);
+      setItems(pending.reduce(applyMutation, data || []));
     }
 
     setLoading(false);
@@ -42,123 +100,343 @@ export function useItems({ includeDone = false, zoneId = null } = {}) {
     load();
   }, [load]);
 
+  // Merge changes made elsewhere
+  useEffect(() => {
+    return subscribeToItems((payload) => {
+      // Items with queued local edits keep their optimistic state until the edits land
+      const pendingIds = new Set(getOutbox().flatMap(entry => mutationItemIds(entry.op)));
+      if (pendingIds.has(payload.new?.id ?? payload.old?.id)) return;
+
+      setItems(prev => mergeItemChange(prev, payload, { includeDone, zoneId }));
+    });
+  }, [includeDone, zoneId]);
+
   /**
-   * Change item status with optimistic update
-   * Enforces single-current rule: when setting current, previous current goes to top of in_progress
+   * Replay queued mutations in order
+   * Concurrent calls share the same replay run
    */
-  const changeStatus = useCallback(async (id, newStatus) => {
-    // Optimistic update
-    setItems(prev => {
-      let updated = [...prev];
-      
-      // If setting current, move previous current to top of in_progress
-      if (newStatus === STATUSES.CURRENT) {
-        const previousCurrent = updated.find(item => item.status === STATUSES.CURRENT);
-        if (previousCurrent && previousCurrent.id !== id) {
-          // Find minimum priority_order among in_progress items
-          const inProgressItems = updated.filter(item => item.status === STATUSES.IN_PROGRESS);
-          const minOrder = inProgressItems.length > 0 
-            ? Math.min(...inProgressItems.map(i => i.priority_order)) 
-            : 1;
-          
-          updated = updated.map(item => 
-            item.id === previousCurrent.id 
-              ? { ...item, status: STATUSES.IN_PROGRESS, priority_order: minOrder - 1 }
-              : item
-          );
+  const sync = useCallback(() => {
+    if (!syncRef.current) {
+      syncRef.current = (async () => {
+        setPendingCount(getOutbox().length);
+        const result = await replayOutbox(executeMutation);
+
+        setSyncStatus(result.status);
+        setPendingCount(getOutbox().length);
+
+        if (result.status === SYNC_STATUSES.FAILED) {
+          // Revert optimistic state for rejected mutations
+          setError(result.error.message);
+          await load();
         }
-      }
+      })().finally(() => {
+        syncRef.current = null;
+      });
+    }
+
+    return syncRef.current;
+  }, [load]);
 
-      // Update the target item
-      return updated.map(item =>
-        item.id === id 
-          ? { 
-              ...item, 
-              status: newStatus,
-              completed_at: newStatus === STATUSES.DONE ? new Date().toISOString() : item.completed_at
-            }
-          : item
-      );
+  // Replay leftovers from a previous session, and whenever the connection comes back
+  useEffect(() => {
+    if (getOutbox().length > 0) {
+      sync();
+    }
+
+    window.addEventListener('online', sync);
+    return () => window.removeEventListener('online', sync);
+  }, [sync]);
+
+  // Keep retrying while mutations are pending
+  useEffect(() => {
+    if (syncStatus !== SYNC_STATUSES.PENDING) return;
+
+    const timer = setInterval(sync, RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [syncStatus, sync]);
+
+  // Keep the latest state at hand for computing inverse mutations
+  useEffect(() => {
+    itemsRef.current = items;
+  }, [items]);
+
+  /**
+   * Expose the history state for rendering
+   * @param {Object|null} lastAction - Newly recorded action, for the undo toast
+   */
+  const publishHistory = useCallback((lastAction) => {
+    setHistoryState({
+      canUndo: historyRef.current.undo.length > 0,
+      canRedo: historyRef.current.redo.length > 0,
+      lastAction,
     });
+  }, []);
 
-    // Persist
-    const { error: updateError } = await updateItemStatus(id, newStatus);
+  /**
+   * Push an action and its inverse onto the undo stack
+   * Consecutive edits of the same fields (e.g. typing in notes) are merged into one entry.
+   */
+  const recordHistory = useCallback((op) => {
+    const before = itemsRef.current;
+    const inverse = invertMutation(before, op);
+    if (!inverse) return;
+
+    const now = Date.now();
+    const last = historyRef.current.undo.at(-1);
+    const continuesEdit = last &&
+      op.type === MUTATIONS.UPDATE &&
+      last.op.type === MUTATIONS.UPDATE &&
+      last.op.id === op.id &&
+      Object.keys(last.op.updates).join() === Object.keys(op.updates).join() &&
+      now - last.at < EDIT_MERGE_WINDOW_MS;
+
+    const entry = continuesEdit
+      ? { ...last, op, at: now }
+      : {
+          id: crypto.randomUUID(),
+          op,
+          inverse,
+          label: describeMutation(before, op),
+          at: now,
+        };
 
-    if (updateError) {
-      // Revert on error
-      setError(updateError.message);
-      await load();
+    const undoStack = continuesEdit ? historyRef.current.undo.slice(0, -1) : historyRef.current.undo;
+    historyRef.current = {
+      undo: [...undoStack, entry].slice(-HISTORY_LIMIT),
+      redo: [],
+    };
+
+    // Field edits are undone with the keyboard; board actions also get a toast
+    publishHistory(op.type === MUTATIONS.UPDATE ? null : { id: entry.id, label: entry.label });
+  }, [publishHistory]);
+
+  /**
+   * Apply a mutation optimistically, queue it and replay the outbox
+   * @param {Object} op 
+   * @param {Object} options
+   * @param {boolean} options.record - Add to the undo history (default: true)
+   */
+  const mutate = useCallback((op, { record = true } = {}) => {
+    if (record) {
+      recordHistory(op);
     }
-  }, [load]);
+
+    setItems(prev => applyMutation(prev, op));
+    enqueue(op);
+    return sync();
+  }, [sync, recordHistory]);
 
   /**
-   * Reorder items after drag-and-drop
-   * @param {Array} newOrder - Array of items in new order
+   * Undo the last recorded action by applying its inverse
    */
-  const reorder = useCallback(async (newOrder) => {
-    // Optimistic update with new priority_order values
-    const updatedItems = newOrder.map((item, index) => ({
-      ...item,
-      priority_order: index + 1,
-    }));
+  const undo = useCallback(async () => {
+    const entry = historyRef.current.undo.at(-1);
+    if (!entry) return;
 
-    // Create a map of updated items by ID for quick lookup
-    const updatedItemsMap = new Map(updatedItems.map(item => [item.id, item]));
+    historyRef.current = {
+      undo: historyRef.current.undo.slice(0, -1),
+      redo: [...historyRef.current.redo, entry],
+    };
+    publishHistory(null);
 
-    // Merge updated items back into the full items list
-    setItems(prev => prev.map(item => 
-      updatedItemsMap.has(item.id) ? updatedItemsMap.get(item.id) : item
-    ));
+    await mutate(entry.inverse, { record: false });
+  }, [mutate, publishHistory]);
 
-    // Persist
-    const orderUpdates = updatedItems.map(item => ({
-      id: item.id,
-      priority_order: item.priority_order,
-    }));
+  /**
+   * Redo the last undone action
+   */
+  const redo = useCallback(async () => {
+    const entry = historyRef.current.redo.at(-1);
+    if (!entry) return;
 
-    const { error: reorderError } = await reorderItems(orderUpdates);
+    historyRef.current = {
+      undo: [...historyRef.current.undo, entry],
+      redo: historyRef.current.redo.slice(0, -1),
+    };
+    publishHistory(null);
 
-    if (reorderError) {
-      setError(reorderError.message);
-      await load();
-    }
-  }, [load]);
+    await mutate(entry.op, { record: false });
+  }, [mutate, publishHistory]);
+
+  // Rebalance lists whose ranks are missing, tied or too long, in the background
+  // (housekeeping, not a user action, so it stays out of the undo history)
+  useEffect(() => {
+    if (loading) return;
+
+    const updates = Object.values(STATUSES).flatMap(status => {
+      const list = items.filter(item => item.status === status).sort(compareRanks);
+      return needsRebalance(list) ? rerank(list) : [];
+    });
+
+    if (updates.length === 0) return;
+
+    const timer = setTimeout(() => {
+      mutate({ type: MUTATIONS.REORDER, updates }, { record: false });
+    }, REBALANCE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [items, loading, mutate]);
+
+  /**
+   * Change item status with optimistic update
+   * Enforces single-current rule: when setting current, previous current goes to top of in_progress
+   * @param {string} id 
+   * @param {string} newStatus 
+   * @param {Object} options
+   * @param {string} options.reason - Why the current item is being interrupted (optional)
+   */
+  const changeStatus = useCallback(async (id, newStatus, { reason = null } = {}) => {
+    await mutate({ type: MUTATIONS.STATUS, id, status: newStatus, ...(reason && { reason }) });
+  }, [mutate]);
+
+  /**
+   * Reorder items after drag-and-drop
+   * Only the moved item gets a new rank, between its new neighbours.
+   * Without a moved item (or with tied neighbours) the whole column is re-ranked.
+   * @param {Array} newOrder - Array of items in new order (may be only the visible ones)
+   * @param {string} movedId - ID of the item that moved (optional)
+   */
+  const reorder = useCallback(async (newOrder, movedId = null) => {
+    const index = newOrder.findIndex(item => item.id === movedId);
+    const before = newOrder[index - 1]?.rank ?? null;
+    const after = newOrder[index + 1]?.rank ?? null;
+    const canRankBetween = before === null || after === null || before < after;
+
+    const updates = index !== -1 && canRankBetween
+      ? [{ id: movedId, rank: rankBetween(before, after) }]
+      : rerank(withHiddenItems(itemsRef.current, newOrder));
+
+    await mutate({ type: MUTATIONS.REORDER, updates });
+  }, [mutate]);
 
   /**
    * Add a new item
+   * The item gets a client-side ID so it can be created while offline
    */
   const add = useCallback(async (itemData) => {
-    const { data, error: createError } = await createItem(itemData);
+    const validationError = validateNewItem(itemData);
 
-    if (createError) {
-      setError(createError.message);
+    if (validationError) {
+      setError(validationError.message);
       return null;
     }
 
-    // Add to state
-    setItems(prev => [...prev, data]);
-    return data;
-  }, []);
+    // Queued items go to the top of In Progress, others to the end
+    const topItem = items
+      .filter(item => item.status === STATUSES.IN_PROGRESS)
+      .sort(compareRanks)[0];
+    const lastRank = items.reduce(
+      (max, item) => (item.rank && (!max || item.rank > max) ? item.rank : max),
+      null
+    );
+    const item = buildNewItem(
+      { ...itemData, id: crypto.randomUUID() },
+      itemData.status === STATUSES.IN_PROGRESS
+        ? rankBetween(null, topItem?.rank ?? null)
+        : rankBetween(lastRank, null)
+    );
+
+    await mutate({ type: MUTATIONS.CREATE, item });
+    return item;
+  }, [items, mutate]);
+
+  /**
+   * Add several items at once (one write, one undo step)
+   * They are appended after the last item, keeping their order.
+   * @param {Array<Object>} itemsData
+   * @returns {Promise<Array|null>} The new items, or null if one is invalid
+   */
+  const addMany = useCallback(async (itemsData) => {
+    for (const itemData of itemsData) {
+      const validationError = validateNewItem(itemData);
+      if (validationError) {
+        setError(validationError.message);
+        return null;
+      }
+    }
+
+    let rank = items.reduce(
+      (max, item) => (item.rank && (!max || item.rank > max) ? item.rank : max),
+      null
+    );
+    const newItems = itemsData.map(itemData => {
+      rank = rankBetween(rank, null);
+      return buildNewItem({ ...itemData, id: crypto.randomUUID() }, rank);
+    });
+
+    await mutate({ type: MUTATIONS.CREATE_MANY, items: newItems });
+    return newItems;
+  }, [items, mutate]);
 
   /**
    * Update item fields
    */
   const update = useCallback(async (id, updates) => {
-    // Optimistic update
-    setItems(prev => prev.map(item =>
-      item.id === id ? { ...item, ...updates } : item
-    ));
+    await mutate({ type: MUTATIONS.UPDATE, id, updates });
+  }, [mutate]);
 
-    const { data, error: updateError } = await updateItem(id, updates);
+  /**
+   * Bring a done item back to the top of Waiting or In Progress
+   * @param {Object} item - The done item (it may not be loaded here)
+   * @param {string} status - STATUSES.WAITING or STATUSES.IN_PROGRESS
+   */
+  const reopen = useCallback(async (item, status) => {
+    const topItem = items
+      .filter(other => other.status === status && other.id !== item.id)
+      .sort(compareRanks)[0];
 
-    if (updateError) {
-      setError(updateError.message);
-      await load();
-      return null;
+    await mutate({
+      type: MUTATIONS.REOPEN,
+      item,
+      status,
+      rank: rankBetween(null, topItem?.rank ?? null),
+    });
+  }, [items, mutate]);
+
+  /**
+   * Move an item to the trash
+   */
+  const remove = useCallback(async (id) => {
+    await mutate({ type: MUTATIONS.DELETE, id });
+  }, [mutate]);
+
+  /**
+   * Bring an item back from the trash
+   * @param {Object} item - The deleted item (it isn't loaded here)
+   */
+  const undelete = useCallback(async (item) => {
+    await mutate({ type: MUTATIONS.UNDELETE, item });
+  }, [mutate]);
+
+  /**
+   * Escalate overdue items (automatic, so it stays out of the undo history)
+   * Promoted items go to the top of In Progress, the first of them on top.
+   * @param {Array} overdueItems - Most overdue first
+   * @param {Function} shouldPromote - (item) => boolean
+   */
+  const escalate = useCallback(async (overdueItems, shouldPromote) => {
+    const escalatedAt = new Date().toISOString();
+    const promoted = overdueItems.filter(shouldPromote);
+    const promotedIds = new Set(promoted.map(item => item.id));
+    const topItem = items
+      .filter(item => item.status === STATUSES.IN_PROGRESS && !promotedIds.has(item.id))
+      .sort(compareRanks)[0];
+
+    // Rank from the bottom of the promoted group up, each above the last
+    const ranks = new Map();
+    let above = topItem?.rank ?? null;
+    for (const item of [...promoted].reverse()) {
+      above = rankBetween(null, above);
+      ranks.set(item.id, above);
     }
 
-    return data;
-  }, [load]);
+    await Promise.all(overdueItems.map(item => mutate({
+      type: MUTATIONS.ESCALATE,
+      id: item.id,
+      promote: ranks.has(item.id),
+      rank: ranks.get(item.id) ?? null,
+      escalated_at: escalatedAt,
+    }, { record: false })));
+  }, [items, mutate]);
 
   /**
    * Get the current focus item (if any)
@@ -177,15 +455,45 @@ export function useItems({ includeDone = false, zoneId = null } = {}) {
     loading,
     error,
     currentItem,
+    syncStatus,
+    pendingCount,
+    canUndo: historyState.canUndo,
+    canRedo: historyState.canRedo,
+    lastAction: historyState.lastAction,
     
     // Actions
     reload: load,
+    sync,
     changeStatus,
     reorder,
     add,
+    addMany,
     update,
+    reopen,
+    remove,
+    undelete,
+    escalate,
+    undo,
+    redo,
     
     // Helpers
     getByContext,
   };
 }
+
+/**
+ * The whole column for an order of (possibly filtered) items
+ * Hidden items keep their places; the given items fill the other places in their new order.
+ * @param {Array} allItems - Every loaded item
+ * @param {Array} order - Items of one status, in their new order
+ * @returns {Array}
+ */
+function withHiddenItems(allItems, order) {
+  const orderIds = new Set(order.map(item => item.id));
+  const column = allItems
+    .filter(item => item.status === order[0]?.status || orderIds.has(item.id))
+    .sort(compareRanks);
+
+  let next = 0;
+  return column.map(item => (orderIds.has(item.id) ? order[next++] : item));
+}
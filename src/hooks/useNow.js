@@ -0,0 +1,21 @@
+/**
+ * useNow Hook
+ * 
+ * Current timestamp, refreshed on an interval (for live timers).
+ * Pass null as the interval to stop ticking.
+ */
+
+import { useState, useEffect } from 'react';
+
+export function useNow(intervalMs = 1000) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (intervalMs === null) return;
+
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+}
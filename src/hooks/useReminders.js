@@ -0,0 +1,99 @@
+/**
+ * useReminders Hook
+ *
+ * Alerts with a browser notification when items reach their reminder time.
+ * Reminders missed while the app was closed alert as soon as it opens.
+ * Clicks on a notification open the item or snooze it.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { findDueReminders, nextReminderAt, markNotified } from '../lib/reminders';
+import {
+  notificationPermission,
+  requestNotificationPermission,
+  registerServiceWorker,
+  showReminderNotifications,
+  subscribeToNotificationActions,
+  takeNotificationActionFromUrl,
+} from '../lib/notifications';
+
+// Re-check at least this often, since timers drift while a device sleeps
+const MAX_TIMER_MS = 5 * 60 * 1000;
+
+/**
+ * @param {Array} items - Open items (with due dates)
+ * @param {Object} handlers
+ * @param {Function} handlers.onOpen - (itemId, refCode) => void
+ * @param {Function} handlers.onSnooze - (itemId, option) => void, option is one of SNOOZE_OPTIONS
+ */
+export function useReminders(items, { onOpen, onSnooze }) {
+  const [permission, setPermission] = useState(notificationPermission);
+  const handlersRef = useRef({ onOpen, onSnooze });
+
+  // Always call the latest handlers
+  useEffect(() => {
+    handlersRef.current = { onOpen, onSnooze };
+  });
+
+  const handleAction = useCallback(({ action, itemId, refCode, option }) => {
+    if (action === 'snooze') {
+      handlersRef.current.onSnooze(itemId, option);
+    } else {
+      handlersRef.current.onOpen(itemId, refCode);
+    }
+  }, []);
+
+  // Notification clicks, live or from the URL that opened the app
+  useEffect(() => {
+    registerServiceWorker();
+
+    const pending = takeNotificationActionFromUrl();
+    if (pending) {
+      handleAction(pending);
+    }
+
+    return subscribeToNotificationActions(handleAction);
+  }, [handleAction]);
+
+  // Alert for due reminders, then wait for the next one
+  useEffect(() => {
+    if (permission !== 'granted') return;
+
+    let timer = null;
+
+    const check = () => {
+      clearTimeout(timer);
+      const now = Date.now();
+
+      const due = findDueReminders(items, now);
+      if (due.length > 0) {
+        markNotified(due, items);
+        showReminderNotifications(due, handleAction);
+      }
+
+      const next = nextReminderAt(items, now);
+      timer = setTimeout(check, Math.min(next ? next - now : MAX_TIMER_MS, MAX_TIMER_MS));
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') check();
+    };
+
+    check();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [items, permission, handleAction]);
+
+  /**
+   * Ask for permission to notify (call from a click)
+   */
+  const enable = useCallback(async () => {
+    setPermission(await requestNotificationPermission());
+  }, []);
+
+  return { permission, enable };
+}
@@ -0,0 +1,91 @@
+/**
+ * useRoute Hook
+ *
+ * Keeps the URL and the app's selection and filters in sync (see lib/routing).
+ * The URL is applied once the app is ready and again on browser back/forward.
+ * Selecting another item adds a history entry; changing filters replaces it.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { parseRoute, buildRoute } from '../lib/routing';
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.ready - Items and zones are loaded
+ * @param {Object|null} options.route - Current {refCode, zoneIds, categoryIds},
+ *   or null while the selected item is still loading
+ * @param {Function} options.onNavigate - (route) => Promise, applies a route from the URL
+ * @returns {{navigateTo: Function}} navigateTo(changes) opens a route (e.g. {refCode})
+ *   as a new history entry
+ */
+export function useRoute({ ready, route, onNavigate }) {
+  const [navigations, setNavigations] = useState(0);
+  const appliedRef = useRef(false);
+  const navigatingRef = useRef(false);
+  const replaceNextRef = useRef(false);
+  const onNavigateRef = useRef(onNavigate);
+
+  // Always call the latest handler
+  useEffect(() => {
+    onNavigateRef.current = onNavigate;
+  });
+
+  // Write state changes to the URL
+  // (declared first, so the render that applies the URL doesn't overwrite it)
+  useEffect(() => {
+    if (!appliedRef.current || navigatingRef.current || !route) return;
+
+    const replace = replaceNextRef.current;
+    replaceNextRef.current = false;
+
+    const href = window.location.href;
+    const url = buildRoute(href, route);
+    if (url === buildRoute(href, parseRoute(href))) return;
+
+    const selectionChanged = parseRoute(href).refCode !== route.refCode;
+    if (selectionChanged && !replace) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }, [route, navigations]);
+
+  const navigate = useCallback(() => {
+    navigatingRef.current = true;
+    Promise.resolve(onNavigateRef.current(parseRoute(window.location.href))).then(() => {
+      navigatingRef.current = false;
+      // A link to an item that can't be found is corrected, not added to history
+      replaceNextRef.current = true;
+      setNavigations(count => count + 1);
+    });
+  }, []);
+
+  // Apply the URL on start and on back/forward
+  useEffect(() => {
+    if (!ready) return;
+
+    if (!appliedRef.current) {
+      appliedRef.current = true;
+      navigate();
+    }
+
+    window.addEventListener('popstate', navigate);
+    return () => window.removeEventListener('popstate', navigate);
+  }, [ready, navigate]);
+
+  /**
+   * Open a route, keeping the parts not given (before the app is ready, the
+   * URL is just updated and applied on start)
+   */
+  const navigateTo = useCallback((changes) => {
+    const href = window.location.href;
+    const url = buildRoute(href, { ...parseRoute(href), ...changes });
+    if (url !== buildRoute(href, parseRoute(href))) {
+      window.history.pushState(null, '', url);
+    }
+
+    if (appliedRef.current) navigate();
+  }, [navigate]);
+
+  return { navigateTo };
+}
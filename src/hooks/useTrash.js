@@ -0,0 +1,79 @@
+/**
+ * useTrash Hook
+ * 
+ * Loads deleted items for the Trash view and keeps them live.
+ * Items past the retention period are purged once on mount, whether or not
+ * the Trash view is open; the list itself only loads while enabled.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { fetchDeletedItems, purgeItem, purgeExpiredItems } from '../lib/items';
+import { subscribeToItems, mergeRowChange } from '../lib/realtime';
+
+export function useTrash({ enabled = true } = {}) {
+  const [state, setState] = useState({ items: [], loading: true, error: null });
+
+  // Automatic purge
+  useEffect(() => {
+    purgeExpiredItems();
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let cancelled = false;
+
+    fetchDeletedItems().then(({ data, error }) => {
+      if (cancelled) return;
+      setState({ items: data || [], loading: false, error: error?.message ?? null });
+    });
+
+    const unsubscribe = subscribeToItems((payload) => {
+      setState(prev => ({
+        ...prev,
+        items: mergeRowChange(prev.items, payload, item => Boolean(item.deleted_at)),
+      }));
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [enabled]);
+
+  /**
+   * Permanently delete an item from the trash (can't be undone)
+   */
+  const purge = useCallback(async (id) => {
+    const { error } = await purgeItem(id);
+
+    if (error) {
+      setState(prev => ({ ...prev, error: error.message }));
+      return false;
+    }
+
+    setState(prev => ({ ...prev, items: prev.items.filter(item => item.id !== id) }));
+    return true;
+  }, []);
+
+  /**
+   * Permanently delete everything in the trash
+   */
+  const purgeAll = useCallback(async () => {
+    const { error } = await purgeExpiredItems(0);
+
+    if (error) {
+      setState(prev => ({ ...prev, error: error.message }));
+      return false;
+    }
+
+    setState(prev => ({ ...prev, items: [] }));
+    return true;
+  }, []);
+
+  return {
+    ...state,
+    purge,
+    purgeAll,
+  };
+}
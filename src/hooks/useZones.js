@@ -1,12 +1,30 @@
 /**
  * useZones Hook
  * 
- * Manages zones state for filtering.
+ * Manages zones state for filtering and the zone manager.
  * Zones are filters only, never containers.
+ * Zones keep their manual order (rank) among their siblings and can be nested.
+ * Changes made in other tabs or devices are merged in as they happen.
  */
 
 import { useState, useEffect, useCallback } from 'react';
-import { fetchZones, createZone, deleteZone } from '../lib/zones';
+import {
+  fetchZones,
+  createZone,
+  updateZone,
+  moveZone,
+  setZoneParent,
+  mergeZones,
+  deleteZone,
+} from '../lib/zones';
+import { subscribeToZones, mergeRowChange } from '../lib/realtime';
+import { rankBetween, compareRanks, rerank, needsRebalance } from '../lib/rank';
+
+// Manual order, then name for zones without a rank yet
+const compareZones = (a, b) => compareRanks(a, b) || a.name.localeCompare(b.name);
+
+// Zones under the same parent
+const siblingsOf = (zones, parentId) => zones.filter(z => (z.parent_id ?? null) === (parentId ?? null));
 
 export function useZones() {
   const [zones, setZones] = useState([]);
@@ -36,6 +54,15 @@ export function useZones() {
     load();
   }, [load]);
 
+  // Merge changes made elsewhere
+  useEffect(() => {
+    return subscribeToZones((payload) => {
+      setZones(prev =>
+        [...mergeRowChange(prev, payload)].sort(compareZones)
+      );
+    });
+  }, []);
+
   /**
    * Select a zone for filtering
    * Pass null to clear filter
@@ -47,18 +74,139 @@ export function useZones() {
   /**
    * Add a new zone
    */
-  const add = useCallback(async (name) => {
-    const { data, error: createError } = await createZone(name);
+  const add = useCallback(async (name, options) => {
+    const { data, error: createError } = await createZone(name, options);
 
     if (createError) {
       setError(createError.message);
       return null;
     }
 
-    setZones(prev => [...prev, data].sort((a, b) => a.name.localeCompare(b.name)));
+    setZones(prev => mergeRowChange(prev, { eventType: 'INSERT', new: data }).sort(compareZones));
+    return data;
+  }, []);
+
+  /**
+   * Rename or recolor a zone
+   * @param {string} zoneId 
+   * @param {Object} updates - {name, color}
+   */
+  const update = useCallback(async (zoneId, updates) => {
+    const { data, error: updateError } = await updateZone(zoneId, updates);
+
+    if (updateError) {
+      setError(updateError.message);
+      return null;
+    }
+
+    setZones(prev => prev.map(z => z.id === zoneId ? data : z));
     return data;
   }, []);
 
+  /**
+   * Move a zone to a new position among its siblings
+   * @param {string} zoneId 
+   * @param {number} toIndex - Position among its siblings without the moved zone
+   */
+  const move = useCallback(async (zoneId, toIndex) => {
+    const zone = zones.find(z => z.id === zoneId);
+    if (!zone) return false;
+
+    const siblings = siblingsOf(zones, zone.parent_id);
+    const others = siblings.filter(z => z.id !== zoneId);
+
+    // Zones from before manual ordering get fresh ranks first
+    if (needsRebalance(siblings)) {
+      const ranked = rerank([...others.slice(0, toIndex), { id: zoneId }, ...others.slice(toIndex)]);
+      const results = await Promise.all(ranked.map(({ id, rank }) => moveZone(id, rank)));
+      const failed = results.find(r => r.error);
+
+      if (failed) {
+        setError(failed.error.message);
+        return false;
+      }
+
+      const moved = new Map(results.map(r => [r.data.id, r.data]));
+      setZones(prev => prev.map(z => moved.get(z.id) ?? z).sort(compareZones));
+      return true;
+    }
+
+    const rank = rankBetween(others[toIndex - 1]?.rank ?? null, others[toIndex]?.rank ?? null);
+    const { data, error: moveError } = await moveZone(zoneId, rank);
+
+    if (moveError) {
+      setError(moveError.message);
+      return false;
+    }
+
+    setZones(prev => prev.map(z => z.id === zoneId ? data : z).sort(compareZones));
+    return true;
+  }, [zones]);
+
+  /**
+   * Nest a zone under another zone, at the end of its children
+   * @param {string} zoneId 
+   * @param {string|null} parentId - null to make it top-level
+   */
+  const nest = useCallback(async (zoneId, parentId) => {
+    const siblings = siblingsOf(zones, parentId).filter(z => z.id !== zoneId);
+    let rank = rankBetween(siblings.at(-1)?.rank ?? null, null);
+    const moved = new Map();
+
+    // Zones from before manual ordering get fresh ranks first
+    if (needsRebalance(siblings)) {
+      const ranked = rerank([...siblings, { id: zoneId }]);
+      rank = ranked.pop().rank;
+
+      const results = await Promise.all(ranked.map(({ id, rank: siblingRank }) => moveZone(id, siblingRank)));
+      const failed = results.find(r => r.error);
+
+      if (failed) {
+        setError(failed.error.message);
+        return false;
+      }
+
+      results.forEach(r => moved.set(r.data.id, r.data));
+    }
+
+    const { data, error: nestError } = await setZoneParent(zoneId, parentId, rank);
+
+    if (nestError) {
+      setError(nestError.message);
+      return false;
+    }
+
+    moved.set(zoneId, data);
+    setZones(prev => prev.map(z => moved.get(z.id) ?? z).sort(compareZones));
+    return true;
+  }, [zones]);
+
+  /**
+   * Merge a zone into another, moving its items
+   * @param {string} sourceId - Zone to merge away
+   * @param {string} targetId - Zone that remains
+   */
+  const merge = useCallback(async (sourceId, targetId) => {
+    const { error: mergeError } = await mergeZones(sourceId, targetId);
+
+    if (mergeError) {
+      setError(mergeError.message);
+      return false;
+    }
+
+    // Its children now live under the target
+    setZones(prev => prev
+      .filter(z => z.id !== sourceId)
+      .map(z => z.parent_id === sourceId ? { ...z, parent_id: targetId } : z)
+    );
+
+    if (selectedZoneId === sourceId) {
+      setSelectedZoneId(targetId);
+    }
+
+    return true;
+  }, [selectedZoneId]);
+
   /**
    * Remove a zone (items remain, just unlinked)
    */
@@ -70,7 +218,13 @@ export function useZones() {
       return false;
     }
 
-    setZones(prev => prev.filter(z => z.id !== zoneId));
+    // Its children move up to its parent
+    setZones(prev => {
+      const parentId = prev.find(z => z.id === zoneId)?.parent_id ?? null;
+      return prev
+        .filter(z => z.id !== zoneId)
+        .map(z => z.parent_id === zoneId ? { ...z, parent_id: parentId } : z);
+    });
     
     // Clear selection if deleted zone was selected
     if (selectedZoneId === zoneId) {
@@ -80,6 +234,13 @@ export function useZones() {
     return true;
   }, [selectedZoneId]);
 
+  /**
+   * Dismiss the error of a failed zone action
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
   /**
    * Get zone by ID
    */
@@ -98,7 +259,12 @@ export function useZones() {
     reload: load,
     selectZone,
     add,
+    update,
+    move,
+    nest,
+    merge,
     remove,
+    clearError,
 
     // Helpers
     getZone,
@@ -0,0 +1,49 @@
+/**
+ * Batch Add
+ *
+ * Turns pasted text into items: each line (or Markdown bullet) becomes an item,
+ * and lines indented below it become its notes.
+ * Bullet markers (-, *, +, 1., 1), [ ] and [x]) are dropped from titles;
+ * blank lines are skipped.
+ */
+
+const BULLET_PATTERN = /^(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/;
+
+/**
+ * Parse pasted text
+ * @param {string} text
+ * @returns {Array<{title: string, notes: string|null}>} In pasted order
+ */
+export function parseBatchText(text) {
+  const lines = (text || '')
+    .replace(/\t/g, '  ')
+    .split(/\r?\n/)
+    .filter(line => line.trim());
+
+  // Lines at the outermost indent are items
+  const baseIndent = Math.min(...lines.map(indentOf));
+  const entries = [];
+
+  for (const line of lines) {
+    const content = line.trim();
+
+    if (indentOf(line) > baseIndent && entries.length > 0) {
+      entries.at(-1).notes.push(content);
+      continue;
+    }
+
+    const title = content.replace(BULLET_PATTERN, '').trim();
+    if (title) {
+      entries.push({ title, notes: [] });
+    }
+  }
+
+  return entries.map(({ title, notes }) => ({
+    title,
+    notes: notes.length > 0 ? notes.join('\n') : null,
+  }));
+}
+
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
@@ -0,0 +1,46 @@
+/**
+ * Shared Constants
+ * 
+ * Statuses, contexts and settings used across the data layer and UI.
+ */
+
+// Focus-based statuses
+export const STATUSES = {
+  WAITING: 'waiting',       // Not yet ready to work on
+  IN_PROGRESS: 'in_progress', // Queued and ready to work on
+  CURRENT: 'current',       // The one thing you're focused on now (unique)
+  DONE: 'done',             // Completed
+};
+
+// Valid contexts (locked, never change)
+export const CONTEXTS = {
+  OBJECTIVES: 'objectives',   // Active execution
+  RESEARCH: 'research',       // Learning and discovery
+  NEEDS: 'needs',             // Important but not urgent
+  REMINDERS: 'reminders',     // Time-based nudges
+};
+
+// Display labels for statuses
+export const STATUS_LABELS = {
+  [STATUSES.WAITING]: 'Waiting',
+  [STATUSES.IN_PROGRESS]: 'In Progress',
+  [STATUSES.CURRENT]: 'Current',
+  [STATUSES.DONE]: 'Done',
+};
+
+// Days a deleted item stays in the trash before it is purged for good
+// (configurable with VITE_TRASH_RETENTION_DAYS)
+export const TRASH_RETENTION_DAYS = Number(import.meta.env.VITE_TRASH_RETENTION_DAYS) || 30;
+
+// Hour of the day (local time) a reminder with a date but no time goes off
+// (configurable with VITE_REMINDER_HOUR, 0-23; anything else falls back to 9)
+export const REMINDER_HOUR = parseHour(import.meta.env.VITE_REMINDER_HOUR, 9);
+
+// What happens when a reminder becomes overdue (configurable with VITE_OVERDUE_ESCALATION):
+// 'promote' moves it to the top of In Progress, 'flag' only marks it, 'off' does nothing
+export const OVERDUE_ESCALATION = import.meta.env.VITE_OVERDUE_ESCALATION || 'promote';
+
+function parseHour(value, fallback) {
+  const hour = value?.trim() ? Number(value) : NaN;
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : fallback;
+}
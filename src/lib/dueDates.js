@@ -0,0 +1,81 @@
+/**
+ * Due Dates
+ *
+ * items.due_date is a timestamp with time zone, stored as an ISO string.
+ * It is shown and edited in the browser's local time, so it means the same
+ * moment for everyone and never shifts by a day away from UTC.
+ *
+ * Rows saved before due dates had a time hold a plain date ('YYYY-MM-DD');
+ * those are read as that day at REMINDER_HOUR, local time. In the database the
+ * migration stored them as noon UTC with due_date_unzoned set, and the app
+ * moves them to local time on load (localizeDueDate).
+ */
+
+import { REMINDER_HOUR } from './constants';
+
+/**
+ * Moment an item is due
+ * @param {string|null} value - items.due_date
+ * @returns {Date|null}
+ */
+export function parseDueDate(value) {
+  if (!value) return null;
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day, REMINDER_HOUR);
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Due date for a row flagged due_date_unzoned
+ * It was a plain date stored as noon UTC, so its UTC day is the day that was
+ * meant; it becomes that day at REMINDER_HOUR, local time.
+ * @param {string} value - items.due_date
+ * @returns {string} ISO timestamp
+ */
+export function localizeDueDate(value) {
+  const date = new Date(value);
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), REMINDER_HOUR).toISOString();
+}
+
+/**
+ * Value for an <input type="date">, in local time
+ * @param {string|null} value - items.due_date
+ * @returns {string} 'YYYY-MM-DD', or '' without a due date
+ */
+export function dueDateInputValue(value) {
+  const date = parseDueDate(value);
+  return date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` : '';
+}
+
+/**
+ * Value for an <input type="time">, in local time
+ * @param {string|null} value - items.due_date
+ * @returns {string} 'HH:mm', or '' without a due date
+ */
+export function dueTimeInputValue(value) {
+  const date = parseDueDate(value);
+  return date ? `${pad(date.getHours())}:${pad(date.getMinutes())}` : '';
+}
+
+/**
+ * Build a due date from date and time inputs (local time)
+ * @param {string} dateValue - 'YYYY-MM-DD', empty to clear the due date
+ * @param {string} timeValue - 'HH:mm', empty for REMINDER_HOUR
+ * @returns {string|null} ISO timestamp
+ */
+export function combineDueDate(dateValue, timeValue) {
+  if (!dateValue) return null;
+
+  const [year, month, day] = dateValue.split('-').map(Number);
+  const [hours, minutes] = timeValue ? timeValue.split(':').map(Number) : [REMINDER_HOUR, 0];
+  return new Date(year, month - 1, day, hours, minutes).toISOString();
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
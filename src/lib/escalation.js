@@ -0,0 +1,55 @@
+/**
+ * Overdue Escalation
+ *
+ * When an item's reminder time passes (see ./reminders) it is escalated once,
+ * following OVERDUE_ESCALATION:
+ * - 'promote': flagged and moved to the top of In Progress (a current item stays current)
+ * - 'flag': flagged only
+ * - 'off': nothing happens (it still shows as overdue)
+ *
+ * Escalated items are flagged with escalated_at. Changing the due date or
+ * snoozing clears the flag, so the item can escalate again later.
+ */
+
+import { STATUSES } from './constants';
+import { reminderTime } from './reminders';
+
+export const ESCALATION_RULES = {
+  PROMOTE: 'promote',
+  FLAG: 'flag',
+  OFF: 'off',
+};
+
+/**
+ * Whether an item's reminder time has passed
+ * @param {Object} item
+ * @param {number} now - Timestamp
+ * @returns {boolean}
+ */
+export function isOverdue(item, now) {
+  const time = reminderTime(item);
+  return Boolean(time) && time.getTime() <= now;
+}
+
+/**
+ * Overdue items that haven't been escalated yet, most overdue first
+ * @param {Array} items
+ * @param {number} now - Timestamp
+ * @returns {Array}
+ */
+export function findItemsToEscalate(items, now) {
+  return items
+    .filter(item => !item.escalated_at && isOverdue(item, now))
+    .sort((a, b) => reminderTime(a) - reminderTime(b));
+}
+
+/**
+ * Whether escalating an item moves it in the queue
+ * @param {Object} item
+ * @param {string} rule - One of ESCALATION_RULES
+ * @returns {boolean}
+ */
+export function shouldPromote(item, rule) {
+  return rule === ESCALATION_RULES.PROMOTE &&
+    (item.status === STATUSES.WAITING || item.status === STATUSES.IN_PROGRESS);
+}
@@ -0,0 +1,194 @@
+/**
+ * Item Events Data Layer
+ * 
+ * Append-only activity log for items: creation, status transitions and
+ * field edits. Written by the items data layer on every mutation and read
+ * back as the timeline in the details panel.
+ */
+
+import { from } from './storage';
+import { STATUSES } from './constants';
+
+export const EVENT_TYPES = {
+  CREATED: 'created',               // Item was created (to_status is its first status)
+  STATUS_CHANGED: 'status_changed', // Moved between statuses (may include field changes)
+  UPDATED: 'updated',               // Fields edited, status unchanged
+  DELETED: 'deleted',               // Moved to the trash (a current item also leaves current)
+  RESTORED: 'restored',             // Brought back from the trash
+};
+
+// Fields recorded as diffs. Rank changes are positional, and background
+// rebalances would flood the log, so they are left out.
+const TRACKED_FIELDS = ['title', 'notes', 'context', 'zone_ids', 'due_date', 'subtasks', 'sources', 'findings', 'recurrence'];
+
+// Consecutive edits of the same fields within this window share one event
+const EDIT_MERGE_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * Fetch the history of an item, oldest first
+ * @param {string} itemId 
+ * @returns {Promise<{data: Array, error: Object}>}
+ */
+export async function fetchItemEvents(itemId) {
+  return from('item_events')
+    .select('*')
+    .eq('item_id', itemId)
+    .order('created_at', { ascending: true });
+}
+
+/**
+ * Append an event to an item's history
+ * @param {Object} event 
+ * @param {string} event.item_id - Required
+ * @param {string} event.type - Required, one of EVENT_TYPES
+ * @param {string} event.from_status - Optional
+ * @param {string} event.to_status - Optional
+ * @param {Object} event.changes - Optional, {field: {from, to}}
+ * @param {string} event.related_item_id - Optional, item that caused the change
+ * @param {string} event.reason - Optional, why it happened (e.g. an interruption reason)
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function recordItemEvent(event) {
+  return from('item_events')
+    .insert(buildEventRow(event))
+    .select()
+    .single();
+}
+
+/**
+ * Append several events in one write (e.g. for items added together)
+ * @param {Array<Object>} events - Same fields as recordItemEvent
+ * @returns {Promise<{data: Array, error: Object}>}
+ */
+export async function recordItemEvents(events) {
+  return from('item_events')
+    .insert(events.map(buildEventRow))
+    .select();
+}
+
+/**
+ * Record the difference between two versions of an item
+ * Does nothing if neither the status nor a tracked field changed.
+ * @param {Object} before - Item before the mutation
+ * @param {Object} after - Item after the mutation
+ * @param {Object} extra - Extra event fields (e.g. related_item_id)
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function recordItemChange(before, after, extra = {}) {
+  const changes = diffFields(before, after);
+  const statusChanged = before.status !== after.status;
+
+  if (!statusChanged && !changes) {
+    return { data: null, error: null };
+  }
+
+  if (!statusChanged) {
+    return recordEdit(after.id, changes);
+  }
+
+  return recordItemEvent({
+    item_id: after.id,
+    type: EVENT_TYPES.STATUS_CHANGED,
+    from_status: before.status,
+    to_status: after.status,
+    changes,
+    ...extra,
+  });
+}
+
+/**
+ * Record a field edit, folding it into the previous event when it
+ * continues the same edit (e.g. typing in notes)
+ */
+async function recordEdit(itemId, changes) {
+  const { data: last } = await from('item_events')
+    .select('*')
+    .eq('item_id', itemId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  const sameFields = last?.type === EVENT_TYPES.UPDATED &&
+    Object.keys(last.changes).sort().join() === Object.keys(changes).sort().join();
+  const recent = last && Date.now() - new Date(last.created_at).getTime() < EDIT_MERGE_WINDOW_MS;
+
+  if (sameFields && recent) {
+    const merged = Object.fromEntries(
+      Object.entries(changes).map(([field, { to }]) => [field, { from: last.changes[field].from, to }])
+    );
+
+    return from('item_events')
+      .update({ changes: merged })
+      .eq('id', last.id)
+      .select()
+      .single();
+  }
+
+  return recordItemEvent({ item_id: itemId, type: EVENT_TYPES.UPDATED, changes });
+}
+
+/**
+ * Tracked fields that differ between two versions of an item
+ * @returns {Object|null} {field: {from, to}}, or null if none changed
+ */
+function diffFields(before, after) {
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    // Compare by value, so zone_ids arrays with the same zones are equal
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Summarize an item's history
+ * @param {Array} events - Oldest first
+ * @param {Object} item - The item as it is now
+ * @param {number} now - Timestamp to measure the ongoing status against
+ * @returns {{timeInStatus: Object, interruptions: number}} timeInStatus maps status to milliseconds
+ */
+export function summarizeItemEvents(events, item, now = Date.now()) {
+  const timeInStatus = {};
+  const statusEvents = events.filter(event => event.to_status);
+
+  let status = statusEvents[0]?.from_status ?? statusEvents[0]?.to_status ?? item.status;
+  let since = new Date(item.created_at).getTime();
+
+  for (const event of statusEvents) {
+    const at = new Date(event.created_at).getTime();
+    if (event.from_status) {
+      timeInStatus[status] = (timeInStatus[status] ?? 0) + Math.max(0, at - since);
+    }
+    status = event.to_status;
+    since = at;
+  }
+
+  timeInStatus[item.status] = (timeInStatus[item.status] ?? 0) + Math.max(0, now - since);
+
+  const interruptions = events.filter(event =>
+    event.from_status === STATUSES.CURRENT &&
+    event.to_status === STATUSES.IN_PROGRESS &&
+    event.related_item_id
+  ).length;
+
+  return { timeInStatus, interruptions };
+}
+
+function buildEventRow(event) {
+  return {
+    item_id: event.item_id,
+    type: event.type,
+    from_status: event.from_status ?? null,
+    to_status: event.to_status ?? null,
+    changes: event.changes ?? null,
+    related_item_id: event.related_item_id ?? null,
+    reason: event.reason ?? null,
+    created_at: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,179 @@
+/**
+ * Fast Add Tokens
+ *
+ * Fast Add reads a few inline tokens from the title:
+ * - #Home - add to a zone (by name, any case; dashes stand for spaces: #deep-work;
+ *   a prefix works if it fits only one: #hom)
+ * - /research - category (a prefix works if it fits only one: /res)
+ * - !now - make it the current item; !next - put it at the top of In Progress
+ * - due:fri 9am - due date, with an optional time (due:today, due:tomorrow 17:30,
+ *   due:2026-11-02, due:9am). A due date makes the item a reminder.
+ * Tokens that don't match anything stay in the title.
+ */
+
+import { CONTEXTS, REMINDER_HOUR } from './constants';
+
+export const PLACEMENTS = {
+  NOW: 'now',
+  NEXT: 'next',
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Parse a Fast Add title
+ * @param {string} text - What was typed
+ * @param {Object} options
+ * @param {Array} options.zones - All zones
+ * @param {number} options.now - Timestamp, for relative due dates
+ * @returns {{title: string, context: string, zoneIds: Array<string>, placement: string|null, dueDate: string|null, warnings: Array<string>}}
+ */
+export function parseFastAdd(text, { zones, now }) {
+  const words = [];
+  const zoneIds = [];
+  const warnings = [];
+  let context = null;
+  let placement = null;
+  let dueDate = null;
+
+  const tokens = (text || '').trim().split(/\s+/).filter(Boolean);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const lower = token.toLowerCase();
+
+    if (lower === '!now' || lower === '!next') {
+      placement = lower === '!now' ? PLACEMENTS.NOW : PLACEMENTS.NEXT;
+      continue;
+    }
+
+    if (token.startsWith('#') && token.length > 1) {
+      const matches = findZones(zones, token.slice(1));
+      if (matches.length === 1) {
+        if (!zoneIds.includes(matches[0].id)) zoneIds.push(matches[0].id);
+        continue;
+      }
+      warnings.push(matches.length > 1
+        ? `"${token}" could be ${matches.map(zone => `#${zone.name.replace(/\s+/g, '-')}`).join(' or ')}`
+        : `No zone named "${token.slice(1)}"`);
+    }
+
+    if (token.startsWith('/') && token.length > 1) {
+      const prefix = lower.slice(1);
+      const matches = Object.values(CONTEXTS).filter(value => value.startsWith(prefix));
+      if (matches.length === 1 || matches.includes(prefix)) {
+        context = matches.includes(prefix) ? prefix : matches[0];
+        continue;
+      }
+      if (matches.length > 1) {
+        warnings.push(`"${token}" could be ${matches.map(value => `/${value}`).join(' or ')}`);
+      }
+    }
+
+    if (lower.startsWith('due:')) {
+      // The date may follow the colon or come as the next word
+      let spec = lower.slice(4);
+      let used = 0;
+      if (!spec && tokens[i + 1]) {
+        spec = tokens[i + 1].toLowerCase();
+        used = 1;
+      }
+
+      const time = parseTime(tokens[i + used + 1]?.toLowerCase());
+      const due = parseDue(spec, time, now);
+      if (due) {
+        dueDate = due.toISOString();
+        i += used + (time && !parseTime(spec) ? 1 : 0);
+        continue;
+      }
+      warnings.push(`Couldn't read the due date "${token}"`);
+    }
+
+    words.push(token);
+  }
+
+  if (dueDate && context && context !== CONTEXTS.REMINDERS) {
+    warnings.push('Due dates are only kept for reminders');
+    dueDate = null;
+  }
+
+  return {
+    title: words.join(' '),
+    context: context ?? (dueDate ? CONTEXTS.REMINDERS : CONTEXTS.OBJECTIVES),
+    zoneIds,
+    placement,
+    dueDate,
+    warnings,
+  };
+}
+
+/**
+ * Zones a #name could mean: the one named exactly that, or else every zone
+ * whose name starts with it
+ * @returns {Array}
+ */
+function findZones(zones, name) {
+  const normalize = (value) => value.toLowerCase().replace(/[-_]/g, ' ');
+  const wanted = normalize(name);
+
+  const exact = zones.find(zone => normalize(zone.name) === wanted);
+  return exact ? [exact] : zones.filter(zone => normalize(zone.name).startsWith(wanted));
+}
+
+/**
+ * Read a date word, with an optional time already parsed
+ * @returns {Date|null}
+ */
+function parseDue(spec, time, now) {
+  const today = new Date(now);
+  const at = (dayOffset, { hours, minutes } = time ?? { hours: REMINDER_HOUR, minutes: 0 }) =>
+    new Date(today.getFullYear(), today.getMonth(), today.getDate() + dayOffset, hours, minutes);
+
+  // Just a time: the next time it comes around
+  const onlyTime = parseTime(spec);
+  if (onlyTime) {
+    const due = at(0, onlyTime);
+    return due.getTime() > now ? due : at(1, onlyTime);
+  }
+
+  if (spec === 'today' || spec === 'tod') return at(0);
+  if (spec === 'tomorrow' || spec === 'tom' || spec === 'tmr') return at(1);
+
+  const isoDate = spec.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (isoDate) {
+    const [, year, month, day] = isoDate.map(Number);
+    const { hours, minutes } = time ?? { hours: REMINDER_HOUR, minutes: 0 };
+    const due = new Date(year, month - 1, day, hours, minutes);
+    return due.getMonth() === month - 1 ? due : null;
+  }
+
+  // A weekday: today if that time is still ahead, else next week
+  const weekday = spec.length >= 3 ? WEEKDAYS.findIndex(day => day.startsWith(spec)) : -1;
+  if (weekday !== -1) {
+    const offset = (weekday - today.getDay() + 7) % 7;
+    const due = at(offset);
+    return due.getTime() > now ? due : at(offset + 7);
+  }
+
+  return null;
+}
+
+/**
+ * Read a time like 9am, 9:30pm or 17:30
+ * A bare number is not a time, so "3 apples" stays in the title.
+ * @returns {{hours: number, minutes: number}|null}
+ */
+function parseTime(value) {
+  const match = value?.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] ?? 0);
+
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+  }
+
+  return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+}
@@ -0,0 +1,95 @@
+/**
+ * Focus Sessions Data Layer
+ * 
+ * A focus session is one uninterrupted stretch of an item being current:
+ * it opens when the item becomes current and closes when it leaves current
+ * (paused, interrupted by another item, or done). An item's focused time is
+ * the sum of its sessions, so it keeps accumulating across interruptions.
+ */
+
+import { from } from './storage';
+import { STATUSES } from './constants';
+
+/**
+ * Fetch the focus sessions of an item, oldest first
+ * @param {string} itemId 
+ * @returns {Promise<{data: Array, error: Object}>}
+ */
+export async function fetchFocusSessions(itemId) {
+  return from('focus_sessions')
+    .select('*')
+    .eq('item_id', itemId)
+    .order('started_at', { ascending: true });
+}
+
+/**
+ * Open a session for an item, unless one is already open
+ * @param {string} itemId 
+ * @returns {Promise<{data: Object, error: Object}>} The open session
+ */
+export async function startFocusSession(itemId) {
+  const { data: open, error } = await from('focus_sessions')
+    .select('*')
+    .eq('item_id', itemId)
+    .is('ended_at', null)
+    .maybeSingle();
+
+  if (error || open) {
+    return { data: open, error };
+  }
+
+  return from('focus_sessions')
+    .insert({
+      item_id: itemId,
+      started_at: new Date().toISOString(),
+      ended_at: null,
+    })
+    .select()
+    .single();
+}
+
+/**
+ * Close the open session of an item, if any
+ * @param {string} itemId 
+ * @returns {Promise<{data: Array, error: Object}>} Closed sessions
+ */
+export async function endFocusSession(itemId) {
+  return from('focus_sessions')
+    .update({ ended_at: new Date().toISOString() })
+    .eq('item_id', itemId)
+    .is('ended_at', null)
+    .select();
+}
+
+/**
+ * Open or close a session when an item enters or leaves current
+ * @param {Object} before - Item before the mutation
+ * @param {Object} after - Item after the mutation
+ * @returns {Promise<{data: any, error: Object}>}
+ */
+export async function trackFocusChange(before, after) {
+  const wasCurrent = before.status === STATUSES.CURRENT;
+  const isCurrent = after.status === STATUSES.CURRENT;
+
+  if (isCurrent && !wasCurrent) {
+    return startFocusSession(after.id);
+  }
+  if (wasCurrent && !isCurrent) {
+    return endFocusSession(after.id);
+  }
+  return { data: null, error: null };
+}
+
+/**
+ * Total focused time across sessions, counting an open session up to now
+ * @param {Array} sessions 
+ * @param {number} now 
+ * @returns {number} Milliseconds
+ */
+export function totalFocusTime(sessions, now = Date.now()) {
+  return sessions.reduce((total, session) => {
+    const start = new Date(session.started_at).getTime();
+    const end = session.ended_at ? new Date(session.ended_at).getTime() : now;
+    return total + Math.max(0, end - start);
+  }, 0);
+}
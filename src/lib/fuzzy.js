@@ -0,0 +1,72 @@
+/**
+ * Fuzzy Matching
+ *
+ * Scores how well a short typed query matches a piece of text.
+ * The query's characters must appear in order, but not next to each other
+ * ("wtpl" matches "Water plants"). Runs of consecutive characters and matches
+ * at the start of words score higher, so the closest matches sort first.
+ */
+
+/**
+ * Score a query against a text
+ * @param {string} query
+ * @param {string} text
+ * @returns {number|null} Higher is better, null if it doesn't match
+ */
+export function fuzzyScore(query, text) {
+  const needle = query.trim().toLowerCase();
+  const haystack = (text || '').toLowerCase();
+
+  if (!needle) return 0;
+  if (!haystack) return null;
+
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+
+  for (const char of needle) {
+    if (char === ' ') continue;
+
+    const index = haystack.indexOf(char, position);
+    if (index === -1) return null;
+
+    score += 1;
+    if (index === previous + 1) score += 3;
+    if (index === 0 || !/[a-z0-9]/.test(haystack[index - 1])) score += 5;
+
+    previous = index;
+    position = index + 1;
+  }
+
+  // Whole-query substrings beat scattered matches
+  if (haystack.includes(needle)) score += needle.length * 2;
+
+  return score;
+}
+
+/**
+ * Entries matching a query, best first
+ * With an empty query every entry is kept, in its original order.
+ * @param {Array} entries
+ * @param {string} query
+ * @param {Function} fields - (entry) => [[text, weight], ...]
+ * @returns {Array}
+ */
+export function fuzzyFilter(entries, query, fields) {
+  if (!query.trim()) return entries;
+
+  return entries
+    .map(entry => {
+      const scores = fields(entry)
+        .map(([text, weight]) => {
+          const score = fuzzyScore(query, text);
+          return score === null ? null : score * weight;
+        })
+        .filter(score => score !== null);
+
+      return { entry, score: scores.length > 0 ? Math.max(...scores) : null };
+    })
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(({ entry }) => entry);
+}
@@ -0,0 +1,82 @@
+/**
+ * Interruptions Data Layer
+ * 
+ * When an item takes over as current, the item it replaced is pushed onto the
+ * interruption stack. Finishing the interrupting item pops its entry so the
+ * interrupted item can be offered back as current. Entries nest naturally:
+ * an interruption of an interruption returns to the interruption first.
+ * 
+ * An entry is open until the interrupting item is done or the interrupted
+ * item is current again (or done itself).
+ */
+
+import { from } from './storage';
+
+/**
+ * Fetch open interruptions, oldest (bottom of the stack) first
+ * @returns {Promise<{data: Array, error: Object}>}
+ */
+export async function fetchInterruptionStack() {
+  return from('interruptions')
+    .select('*')
+    .is('resolved_at', null)
+    .order('created_at', { ascending: true });
+}
+
+/**
+ * Push an interruption onto the stack
+ * @param {Object} interruption 
+ * @param {string} interruption.item_id - Required, the item that was interrupted
+ * @param {string} interruption.interrupted_by_id - Required, the item that took over
+ * @param {string} interruption.reason - Optional
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function pushInterruption(interruption) {
+  return from('interruptions')
+    .insert({
+      item_id: interruption.item_id,
+      interrupted_by_id: interruption.interrupted_by_id,
+      reason: interruption.reason || null,
+      created_at: new Date().toISOString(),
+      resolved_at: null,
+    })
+    .select()
+    .single();
+}
+
+/**
+ * Pop the interruptions caused by an item (it is done)
+ * @param {string} interruptedById 
+ * @returns {Promise<{data: Array, error: Object}>} The popped entries
+ */
+export async function popInterruptionsBy(interruptedById) {
+  return resolveWhere('interrupted_by_id', interruptedById);
+}
+
+/**
+ * Close the interruptions of an item (it is current again, or done)
+ * @param {string} itemId 
+ * @returns {Promise<{data: Array, error: Object}>} The closed entries
+ */
+export async function resolveInterruptionsOf(itemId) {
+  return resolveWhere('item_id', itemId);
+}
+
+async function resolveWhere(column, itemId) {
+  return from('interruptions')
+    .update({ resolved_at: new Date().toISOString() })
+    .eq(column, itemId)
+    .is('resolved_at', null)
+    .select();
+}
+
+/**
+ * The item to return to once an item is done: the latest open
+ * interruption it caused
+ * @param {Array} stack - Open interruptions, oldest first
+ * @param {string} itemId - The item being finished
+ * @returns {Object|null} Interruption entry
+ */
+export function findInterrupted(stack, itemId) {
+  return stack.findLast(entry => entry.interrupted_by_id === itemId) ?? null;
+}
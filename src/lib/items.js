@@ -5,116 +5,194 @@
  * - Single current rule: only one item can have status "current" at a time
  * - Focus-based status model: waiting -> in_progress -> current -> done
  * - When current is replaced, previous current becomes top of in_progress list
- * - Priority ordering: maintains priority_order field for drag-and-drop
+ * - Priority ordering: maintains a fractional rank key for drag-and-drop (see ./rank)
+ * - History: every status change and field edit is logged to item_events (see ./events)
+ * - Focus: time spent as current is recorded as focus sessions (see ./focus)
+ * - Interruptions: a replaced current item is pushed onto the interruption stack (see ./interruptions)
+ * - Trash: deleting is a soft delete (deleted_at); deleted items are purged after a retention period
+ * - Recurrence: finishing a recurring item creates its next occurrence (see ./recurrence).
+ *   The next occurrence only exists while the previous one is done.
+ * - Escalation: overdue items are flagged and may move to the top of In Progress (see ./escalation)
  */
 
-import { supabase } from '../supabase';
+import { from, rpc } from './storage';
+import { rankBetween } from './rank';
+import { recordItemEvent, recordItemEvents, recordItemChange, EVENT_TYPES } from './events';
+import { startFocusSession, endFocusSession, trackFocusChange } from './focus';
+import { pushInterruption, popInterruptionsBy, resolveInterruptionsOf } from './interruptions';
+import { validateRecurrence, nextDueDate } from './recurrence';
+import { localizeDueDate } from './dueDates';
+import { STATUSES, CONTEXTS, TRASH_RETENTION_DAYS } from './constants';
 
-// Focus-based statuses
-export const STATUSES = {
-  WAITING: 'waiting',       // Not yet ready to work on
-  IN_PROGRESS: 'in_progress', // Queued and ready to work on
-  CURRENT: 'current',       // The one thing you're focused on now (unique)
-  DONE: 'done',             // Completed
-};
+export { STATUSES, CONTEXTS, STATUS_LABELS, TRASH_RETENTION_DAYS } from './constants';
 
-// Valid contexts (locked, never change)
-export const CONTEXTS = {
-  OBJECTIVES: 'objectives',   // Active execution
-  RESEARCH: 'research',       // Learning and discovery
-  NEEDS: 'needs',             // Important but not urgent
-  REMINDERS: 'reminders',     // Time-based nudges
-};
+// Postgres error code for a duplicate key
+const UNIQUE_VIOLATION = '23505';
 
 /**
- * Fetch all items ordered by priority
+ * Fetch all items ordered by priority (deleted items excluded)
  * @param {Object} options - Filter options
  * @param {boolean} options.includeDone - Include completed items (default: false)
- * @param {string} options.zoneId - Filter by zone (optional)
+ * @param {string} options.zoneId - Filter to items in this zone (optional)
  * @returns {Promise<{data: Array, error: Object}>}
  */
 export async function fetchItems({ includeDone = false, zoneId = null } = {}) {
-  let query = supabase
-    .from('items')
+  let query = from('items')
     .select('*')
-    .order('priority_order', { ascending: true });
+    .is('deleted_at', null)
+    .order('rank', { ascending: true });
 
   if (!includeDone) {
     query = query.neq('status', STATUSES.DONE);
   }
 
   if (zoneId) {
-    query = query.eq('zone_id', zoneId);
+    query = query.contains('zone_ids', [zoneId]);
   }
 
   return query;
 }
 
+/**
+ * Fetch completed items, most recently completed first
+ * @returns {Promise<{data: Array, error: Object}>}
+ */
+export async function fetchDoneItems() {
+  return from('items')
+    .select('*')
+    .eq('status', STATUSES.DONE)
+    .is('deleted_at', null)
+    .order('completed_at', { ascending: false });
+}
+
+/**
+ * Fetch items in the trash, most recently deleted first
+ * @returns {Promise<{data: Array, error: Object}>}
+ */
+export async function fetchDeletedItems() {
+  return from('items')
+    .select('*')
+    .not('deleted_at', 'is', null)
+    .order('deleted_at', { ascending: false });
+}
+
 /**
  * Fetch a single item by ID
  * @param {string} id 
  * @returns {Promise<{data: Object, error: Object}>}
  */
 export async function fetchItem(id) {
-  return supabase
-    .from('items')
+  return from('items')
     .select('*')
     .eq('id', id)
     .single();
 }
 
+/**
+ * Fetch a single item by its ref code (any status, including the trash)
+ * @param {string} refCode - e.g. OBJ-A3F2K
+ * @returns {Promise<{data: Object|null, error: Object}>}
+ */
+export async function fetchItemByRef(refCode) {
+  return from('items')
+    .select('*')
+    .eq('ref_code', refCode.toUpperCase())
+    .limit(1)
+    .maybeSingle();
+}
+
 /**
  * Set an item as current, enforcing single-current rule
  * When replacing current, the previous current becomes top of in_progress list
+ * 
+ * The swap runs atomically in the database (set_item_current function).
+ * Databases without the function fall back to separate queries, followed by
+ * a repair pass in case a concurrent swap slipped in between.
  * @param {string} id - Item ID to set as current
+ * @param {Object} options
+ * @param {string} options.reason - Why the previous current item was interrupted (optional)
+ * @param {boolean} options.interrupt - Push the previous current item onto the
+ *   interruption stack (default: true, false when restoring a previous state)
  * @returns {Promise<{data: Object, error: Object, previousCurrentId: string|null}>}
  */
-export async function setItemCurrent(id) {
-  // First, find any currently current item
-  const { data: previousCurrent, error: findError } = await supabase
-    .from('items')
-    .select('id, priority_order')
-    .eq('status', STATUSES.CURRENT)
-    .maybeSingle();
+export async function setItemCurrent(id, { reason = null, interrupt = true } = {}) {
+  const { data: before } = await fetchItem(id);
+  const result = await swapCurrent(id);
 
-  if (findError) {
-    return { data: null, error: findError, previousCurrentId: null };
+  if (!result.error) {
+    if (before) {
+      await recordItemChange(before, result.data);
+    }
+    if (result.previousCurrentId) {
+      await endFocusSession(result.previousCurrentId);
+      await recordItemEvent({
+        item_id: result.previousCurrentId,
+        type: EVENT_TYPES.STATUS_CHANGED,
+        from_status: STATUSES.CURRENT,
+        to_status: STATUSES.IN_PROGRESS,
+        related_item_id: id,
+        reason,
+      });
+      if (interrupt) {
+        await pushInterruption({
+          item_id: result.previousCurrentId,
+          interrupted_by_id: id,
+          reason,
+        });
+      }
+    }
+    // Back to an item that was interrupted: its interruption is over
+    await resolveInterruptionsOf(id);
+    await startFocusSession(id);
   }
 
-  let previousCurrentId = null;
+  return result;
+}
 
-  // If there's a current item (and it's not the same one), move it to top of in_progress
-  if (previousCurrent && previousCurrent.id !== id) {
-    // Find the minimum priority_order among in_progress items
-    const { data: topItem } = await supabase
-      .from('items')
-      .select('priority_order')
-      .eq('status', STATUSES.IN_PROGRESS)
-      .order('priority_order', { ascending: true })
-      .limit(1)
-      .maybeSingle();
+/**
+ * Swap the current item, atomically when the database supports it
+ */
+async function swapCurrent(id) {
+  const { data, error } = await rpc('set_item_current', { p_item_id: id });
 
-    // Set priority_order to be above the current top (or 1 if none exist)
-    const newPriorityOrder = topItem ? topItem.priority_order - 1 : 1;
+  if (!error) {
+    return { data: data.item, error: null, previousCurrentId: data.previous_current_id };
+  }
 
-    const { error: demoteError } = await supabase
-      .from('items')
-      .update({ 
-        status: STATUSES.IN_PROGRESS,
-        priority_order: newPriorityOrder,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', previousCurrent.id);
+  if (!isMissingFunctionError(error)) {
+    return { data: null, error, previousCurrentId: null };
+  }
 
-    if (demoteError) {
-      return { data: null, error: demoteError, previousCurrentId: null };
-    }
-    previousCurrentId = previousCurrent.id;
+  const result = await swapCurrentSequentially(id);
+  if (!result.error) {
+    await repairSingleCurrent(id);
+  }
+  return result;
+}
+
+/**
+ * Non-atomic fallback for setItemCurrent
+ * Demotes every other current item (normally at most one) before promoting
+ */
+async function swapCurrentSequentially(id) {
+  const { data: currentItems, error: findError } = await from('items')
+    .select('id, updated_at')
+    .eq('status', STATUSES.CURRENT)
+    .order('updated_at', { ascending: false });
+
+  if (findError) {
+    return { data: null, error: findError, previousCurrentId: null };
+  }
+
+  const others = currentItems.filter(item => item.id !== id);
+  const demoteError = await demoteToTopOfInProgress(others.map(item => item.id));
+
+  if (demoteError) {
+    return { data: null, error: demoteError, previousCurrentId: null };
   }
 
   // Now set the new item as current
-  const { data, error } = await supabase
-    .from('items')
+  const { data, error } = await from('items')
     .update({ 
       status: STATUSES.CURRENT,
       updated_at: new Date().toISOString()
@@ -123,7 +201,144 @@ export async function setItemCurrent(id) {
     .select()
     .single();
 
-  return { data, error, previousCurrentId };
+  return { data, error, previousCurrentId: others[0]?.id ?? null };
+}
+
+/**
+ * Detect and repair single-current violations
+ * Keeps the given item (or else the most recently updated current item)
+ * and moves every other current item to the top of in_progress.
+ * @param {string} keepId - Optional item to keep as current
+ * @returns {Promise<{repairedIds: Array<string>, error: Object}>}
+ */
+export async function repairSingleCurrent(keepId = null) {
+  const { data: currentItems, error } = await from('items')
+    .select('id, updated_at')
+    .eq('status', STATUSES.CURRENT)
+    .order('updated_at', { ascending: false });
+
+  if (error) {
+    return { repairedIds: [], error };
+  }
+
+  if (currentItems.length <= 1) {
+    return { repairedIds: [], error: null };
+  }
+
+  const keep = currentItems.find(item => item.id === keepId) ?? currentItems[0];
+  const repairedIds = currentItems
+    .filter(item => item.id !== keep.id)
+    .map(item => item.id);
+
+  const demoteError = await demoteToTopOfInProgress(repairedIds);
+  if (demoteError) {
+    return { repairedIds: [], error: demoteError };
+  }
+
+  await Promise.all(repairedIds.map(async (itemId) => {
+    await endFocusSession(itemId);
+    await recordItemEvent({
+      item_id: itemId,
+      type: EVENT_TYPES.STATUS_CHANGED,
+      from_status: STATUSES.CURRENT,
+      to_status: STATUSES.IN_PROGRESS,
+    });
+  }));
+
+  return { repairedIds, error: null };
+}
+
+/**
+ * Move due dates that were plain dates to the reminder hour, local time
+ * (flagged by the due_date migration; see localizeDueDate)
+ * @returns {Promise<{localizedIds: Array<string>, error: Object}>}
+ */
+export async function localizeUnzonedDueDates() {
+  const { data: flagged, error } = await from('items')
+    .select('id, due_date')
+    .eq('due_date_unzoned', true);
+
+  if (error) {
+    return { localizedIds: [], error };
+  }
+
+  const results = await Promise.all(flagged.map(item => from('items')
+    .update({
+      due_date: item.due_date ? localizeDueDate(item.due_date) : null,
+      due_date_unzoned: false,
+    })
+    .eq('id', item.id)
+  ));
+
+  const failed = results.find(result => result.error);
+  return {
+    localizedIds: flagged.map(item => item.id),
+    error: failed?.error ?? null,
+  };
+}
+
+/**
+ * Move items to the top of the in_progress list, keeping their relative order
+ * @param {Array<string>} ids 
+ * @returns {Promise<Object|null>} Error, if any
+ */
+async function demoteToTopOfInProgress(ids) {
+  if (ids.length === 0) return null;
+
+  // Find the first rank among in_progress items
+  const { data: topItem } = await from('items')
+    .select('rank')
+    .eq('status', STATUSES.IN_PROGRESS)
+    .order('rank', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  // Rank each item above the next one, working up from the current top
+  const ranks = [];
+  let next = topItem?.rank ?? null;
+  for (let i = ids.length - 1; i >= 0; i--) {
+    next = rankBetween(null, next);
+    ranks[i] = next;
+  }
+
+  const results = await Promise.all(ids.map((itemId, index) =>
+    from('items')
+      .update({ 
+        status: STATUSES.IN_PROGRESS,
+        rank: ranks[index],
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', itemId)
+  ));
+
+  return results.find(r => r.error)?.error ?? null;
+}
+
+/**
+ * Run a write on one item and record the change in its history
+ * (and in its focus sessions, when it leaves or enters current).
+ * History is best-effort: a failed log entry never fails the mutation.
+ * @param {string} id 
+ * @param {Function} write - Resolves to {data, error} with the updated item
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+async function withHistory(id, write) {
+  const { data: before } = await fetchItem(id);
+  const result = await write();
+
+  if (!result.error && before && result.data) {
+    await recordItemChange(before, result.data);
+    await trackFocusChange(before, result.data);
+  }
+
+  return result;
+}
+
+/**
+ * Whether an RPC error means the database function doesn't exist (yet)
+ */
+function isMissingFunctionError(error) {
+  return error.code === 'PGRST202' || error.code === '42883';
 }
 
 /**
@@ -132,15 +347,16 @@ export async function setItemCurrent(id) {
  * @returns {Promise<{data: Object, error: Object}>}
  */
 export async function setItemWaiting(id) {
-  return supabase
-    .from('items')
+  return withHistory(id, () => from('items')
     .update({ 
       status: STATUSES.WAITING,
+      completed_at: null,
       updated_at: new Date().toISOString()
     })
     .eq('id', id)
     .select()
-    .single();
+    .single()
+  );
 }
 
 /**
@@ -149,25 +365,27 @@ export async function setItemWaiting(id) {
  * @returns {Promise<{data: Object, error: Object}>}
  */
 export async function setItemInProgress(id) {
-  return supabase
-    .from('items')
+  return withHistory(id, () => from('items')
     .update({ 
       status: STATUSES.IN_PROGRESS,
+      completed_at: null,
       updated_at: new Date().toISOString()
     })
     .eq('id', id)
     .select()
-    .single();
+    .single()
+  );
 }
 
 /**
  * Mark an item as done
+ * Pops the interruptions it caused, so the items it interrupted can be resumed.
+ * A recurring item also gets its next occurrence.
  * @param {string} id 
  * @returns {Promise<{data: Object, error: Object}>}
  */
 export async function setItemDone(id) {
-  return supabase
-    .from('items')
+  const result = await withHistory(id, () => from('items')
     .update({ 
       status: STATUSES.DONE,
       completed_at: new Date().toISOString(),
@@ -175,16 +393,109 @@ export async function setItemDone(id) {
     })
     .eq('id', id)
     .select()
-    .single();
+    .single()
+  );
+
+  if (!result.error) {
+    await popInterruptionsBy(id);
+    await resolveInterruptionsOf(id);
+
+    if (result.data.recurrence) {
+      const { error } = await createNextOccurrence(result.data);
+      if (error) return { data: result.data, error };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Create the next occurrence of a recurring item that was just done
+ * Fresh ref_code, the next due date and unchecked subtasks, in the same series.
+ * Does nothing if the next occurrence already exists (e.g. a replayed edit).
+ * @param {Object} item - The done occurrence
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+async function createNextOccurrence(item) {
+  const { data: existing, error: fetchError } = await from('items')
+    .select('id')
+    .eq('previous_occurrence_id', item.id)
+    .limit(1)
+    .maybeSingle();
+
+  if (fetchError || existing) {
+    return { data: existing, error: fetchError };
+  }
+
+  return createItem({
+    title: item.title,
+    context: item.context,
+    notes: item.notes,
+    zone_ids: item.zone_ids,
+    subtasks: (item.subtasks ?? []).map(subtask => ({ ...subtask, done: false })),
+    recurrence: item.recurrence,
+    due_date: nextDueDate(item.recurrence, { dueDate: item.due_date, completedAt: item.completed_at }),
+    series_id: item.series_id ?? item.id,
+    previous_occurrence_id: item.id,
+  });
+}
+
+/**
+ * Remove the next occurrence of an item that is no longer done
+ * Only an occurrence nobody started on (still waiting) is removed.
+ * @param {string} id 
+ * @returns {Promise<{data: Array, error: Object}>}
+ */
+async function withdrawNextOccurrence(id) {
+  return from('items')
+    .delete()
+    .eq('previous_occurrence_id', id)
+    .eq('status', STATUSES.WAITING)
+    .is('deleted_at', null)
+    .select();
+}
+
+/**
+ * Bring a done item back to the board
+ * A recurring item takes back the place of its next occurrence.
+ * @param {string} id 
+ * @param {string} status - STATUSES.WAITING or STATUSES.IN_PROGRESS
+ * @param {string} rank - Position in its new list
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function reopenItem(id, status, rank) {
+  if (status !== STATUSES.WAITING && status !== STATUSES.IN_PROGRESS) {
+    return { data: null, error: { message: `Cannot reopen an item as ${status}` } };
+  }
+
+  const result = await withHistory(id, () => from('items')
+    .update({ 
+      status,
+      rank,
+      completed_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .select()
+    .single()
+  );
+
+  if (!result.error) {
+    const { error } = await withdrawNextOccurrence(id);
+    if (error) return { data: result.data, error };
+  }
+
+  return result;
 }
 
 /**
  * Update item status with rule enforcement
  * @param {string} id 
  * @param {string} newStatus 
+ * @param {Object} options - Passed to setItemCurrent (e.g. an interruption reason)
  * @returns {Promise<{data: Object, error: Object, previousCurrentId: string|null}>}
  */
-export async function updateItemStatus(id, newStatus) {
+export async function updateItemStatus(id, newStatus, options = {}) {
   if (!Object.values(STATUSES).includes(newStatus)) {
     return { 
       data: null, 
@@ -194,7 +505,7 @@ export async function updateItemStatus(id, newStatus) {
   }
 
   if (newStatus === STATUSES.CURRENT) {
-    return setItemCurrent(id);
+    return setItemCurrent(id, options);
   }
 
   if (newStatus === STATUSES.DONE) {
@@ -212,18 +523,45 @@ export async function updateItemStatus(id, newStatus) {
 }
 
 /**
- * Reorder items by updating priority_order
- * Called after drag-and-drop to persist new order
- * @param {Array<{id: string, priority_order: number}>} orderUpdates 
+ * Escalate an overdue item
+ * Flags it and, when promoting, moves it to In Progress and ranks it first,
+ * through the same status and ordering code as any other move.
+ * @param {string} id 
+ * @param {Object} options
+ * @param {boolean} options.promote - Move it to the top of In Progress
+ * @param {string} options.rank - Its new rank when promoting
+ * @param {string} options.escalatedAt - ISO timestamp
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function escalateItem(id, { promote = false, rank = null, escalatedAt }) {
+  if (promote) {
+    const { error: statusError } = await updateItemStatus(id, STATUSES.IN_PROGRESS);
+    if (statusError) return { data: null, error: statusError };
+
+    const { error: reorderError } = await reorderItems([{ id, rank }]);
+    if (reorderError) return { data: null, error: reorderError };
+  }
+
+  return from('items')
+    .update({ escalated_at: escalatedAt })
+    .eq('id', id)
+    .select()
+    .single();
+}
+
+/**
+ * Reorder items by updating their rank
+ * Called after drag-and-drop with just the moved item,
+ * or with a whole list when its ranks are rebalanced
+ * @param {Array<{id: string, rank: string}>} rankUpdates 
  * @returns {Promise<{success: boolean, error: Object}>}
  */
-export async function reorderItems(orderUpdates) {
+export async function reorderItems(rankUpdates) {
   // Use a transaction-like approach: update all items
-  const updates = orderUpdates.map(({ id, priority_order }) => 
-    supabase
-      .from('items')
+  const updates = rankUpdates.map(({ id, rank }) => 
+    from('items')
       .update({ 
-        priority_order,
+        rank,
         updated_at: new Date().toISOString()
       })
       .eq('id', id)
@@ -244,70 +582,186 @@ export async function reorderItems(orderUpdates) {
 }
 
 /**
- * Create a new item
+ * Validate the fields required to create an item
  * @param {Object} item 
- * @param {string} item.title - Required
- * @param {string} item.context - Required, one of CONTEXTS
- * @param {string} item.ref_code - Optional, auto-generated if not provided
- * @param {string} item.notes - Optional
- * @param {string} item.zone_id - Optional
- * @param {string} item.due_date - Optional
- * @returns {Promise<{data: Object, error: Object}>}
+ * @returns {Object|null} Error object, or null if valid
  */
-export async function createItem(item) {
+export function validateNewItem(item) {
   if (!item.title || !item.context) {
-    return { 
-      data: null, 
-      error: { message: 'title and context are required' } 
-    };
+    return { message: 'title and context are required' };
   }
 
   if (!Object.values(CONTEXTS).includes(item.context)) {
-    return { 
-      data: null, 
-      error: { message: `Invalid context: ${item.context}` } 
-    };
+    return { message: `Invalid context: ${item.context}` };
   }
 
-  // Get the max priority_order to append at end
-  const { data: maxItem } = await supabase
-    .from('items')
-    .select('priority_order')
-    .order('priority_order', { ascending: false })
-    .limit(1)
-    .maybeSingle();
+  // Only the status flow can make an item current or done
+  if (item.status && item.status !== STATUSES.WAITING && item.status !== STATUSES.IN_PROGRESS) {
+    return { message: `New items can't start as ${item.status}` };
+  }
+
+  return validateRecurrence(item.recurrence);
+}
 
-  const nextOrder = (maxItem?.priority_order ?? 0) + 1;
+/**
+ * Build the row for a new item
+ * Used by createItem and for optimistic inserts before the server responds
+ * @param {Object} item - Same fields as createItem
+ * @param {string} rank 
+ * @returns {Object}
+ */
+export function buildNewItem(item, rank) {
+  const now = new Date().toISOString();
 
-  const newItem = {
+  return {
+    ...(item.id && { id: item.id }),
     title: item.title,
     context: item.context,
     ref_code: item.ref_code || generateRefCode(item.context),
     notes: item.notes || null,
-    zone_id: item.zone_id || null,
+    zone_ids: item.zone_ids || [],
     due_date: item.due_date || null,
-    status: STATUSES.WAITING, // New items start as waiting
-    priority_order: nextOrder,
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString(),
+    subtasks: item.subtasks || [],
+    sources: item.sources || [],
+    findings: item.findings || [],
+    recurrence: item.recurrence || null,
+    series_id: item.series_id || null,
+    previous_occurrence_id: item.previous_occurrence_id || null,
+    status: item.status || STATUSES.WAITING, // New items start as waiting unless queued
+    rank,
+    created_at: item.created_at || now,
+    updated_at: now,
   };
+}
+
+/**
+ * Create a new item
+ * @param {Object} item 
+ * @param {string} item.title - Required
+ * @param {string} item.context - Required, one of CONTEXTS
+ * @param {string} item.status - Optional, STATUSES.WAITING (default) or STATUSES.IN_PROGRESS
+ * @param {string} item.id - Optional, client-generated ID (for offline creation)
+ * @param {string} item.rank - Optional, defaults to the end of the list
+ * @param {string} item.ref_code - Optional, auto-generated if not provided
+ * @param {string} item.notes - Optional
+ * @param {Array<string>} item.zone_ids - Optional
+ * @param {string} item.due_date - Optional
+ * @param {Array} item.subtasks - Optional checklist (see ./subtasks)
+ * @param {Array} item.sources - Optional reading list (see ./research)
+ * @param {Array} item.findings - Optional (see ./research)
+ * @param {Object} item.recurrence - Optional repeat rule (see ./recurrence)
+ * @param {string} item.series_id - Optional, first occurrence of a recurring series
+ * @param {string} item.previous_occurrence_id - Optional, occurrence this one follows
+ * @returns {Promise<{data: Object, error: Object}>}
+ *
+ * Creating an item whose ID already exists returns that item, so a replayed
+ * create whose first insert went through (but whose response was lost) succeeds.
+ */
+export async function createItem(item) {
+  const validationError = validateNewItem(item);
+  if (validationError) {
+    return { data: null, error: validationError };
+  }
 
-  return supabase
-    .from('items')
-    .insert(newItem)
+  let rank = item.rank;
+
+  if (!rank) {
+    // Get the last rank to append at end
+    const { data: lastItem } = await from('items')
+      .select('rank')
+      .order('rank', { ascending: false, nullsFirst: false })
+      .limit(1)
+      .maybeSingle();
+
+    rank = rankBetween(lastItem?.rank ?? null, null);
+  }
+
+  let result = await from('items')
+    .insert(buildNewItem(item, rank))
     .select()
     .single();
+
+  if (result.error?.code === UNIQUE_VIOLATION && item.id) {
+    const existing = await fetchItem(item.id);
+    if (existing.data) result = existing;
+  }
+
+  if (!result.error) {
+    await recordItemEvent({
+      item_id: result.data.id,
+      type: EVENT_TYPES.CREATED,
+      to_status: result.data.status,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Create several items in one write (e.g. a pasted list)
+ * Items without a rank are appended after the last item, in the given order.
+ * Like createItem, a replay of a write that already went through succeeds.
+ * @param {Array<Object>} items - Same fields as createItem
+ * @returns {Promise<{data: Array, error: Object}>}
+ */
+export async function createItems(items) {
+  for (const item of items) {
+    const validationError = validateNewItem(item);
+    if (validationError) {
+      return { data: null, error: validationError };
+    }
+  }
+
+  let lastRank = null;
+  if (items.some(item => !item.rank)) {
+    const { data: lastItem } = await from('items')
+      .select('rank')
+      .order('rank', { ascending: false, nullsFirst: false })
+      .limit(1)
+      .maybeSingle();
+    lastRank = lastItem?.rank ?? null;
+  }
+
+  const rows = items.map(item => {
+    const rank = item.rank || rankBetween(lastRank, null);
+    lastRank = item.rank ? lastRank : rank;
+    return buildNewItem(item, rank);
+  });
+
+  let result = await from('items')
+    .insert(rows)
+    .select();
+
+  // The insert is all or nothing, so either every item is already there or this failed
+  if (result.error?.code === UNIQUE_VIOLATION && items.every(item => item.id)) {
+    const existing = await from('items')
+      .select('*')
+      .in('id', items.map(item => item.id));
+    if (existing.data?.length === items.length) {
+      result = { data: items.map(item => existing.data.find(row => row.id === item.id)), error: null };
+    }
+  }
+
+  if (!result.error) {
+    await recordItemEvents(result.data.map(row => ({
+      item_id: row.id,
+      type: EVENT_TYPES.CREATED,
+      to_status: row.status,
+    })));
+  }
+
+  return result;
 }
 
 /**
  * Update item fields (not status - use updateItemStatus for that)
  * @param {string} id 
- * @param {Object} updates - Fields to update (title, notes, zone_id, due_date)
+ * @param {Object} updates - Fields to update (title, notes, zone_ids, due_date, subtasks, sources, findings, recurrence, snoozed_until)
  * @returns {Promise<{data: Object, error: Object}>}
  */
 export async function updateItem(id, updates) {
   // Only allow safe field updates
-  const safeFields = ['title', 'notes', 'zone_id', 'due_date'];
+  const safeFields = ['title', 'notes', 'zone_ids', 'due_date', 'subtasks', 'sources', 'findings', 'recurrence', 'snoozed_until'];
   const safeUpdates = {};
   
   for (const field of safeFields) {
@@ -320,14 +774,187 @@ export async function updateItem(id, updates) {
     return { data: null, error: { message: 'No valid fields to update' } };
   }
 
+  const recurrenceError = validateRecurrence(safeUpdates.recurrence);
+  if (recurrenceError) {
+    return { data: null, error: recurrenceError };
+  }
+
+  // A new due date replaces any snooze
+  if (safeUpdates.due_date !== undefined && safeUpdates.snoozed_until === undefined) {
+    safeUpdates.snoozed_until = null;
+  }
+
+  // A due date set here is already in local time
+  if (safeUpdates.due_date !== undefined) {
+    safeUpdates.due_date_unzoned = false;
+  }
+
+  // A new due date or snooze can escalate again
+  if (safeUpdates.due_date !== undefined || safeUpdates.snoozed_until !== undefined) {
+    safeUpdates.escalated_at = null;
+  }
+
   safeUpdates.updated_at = new Date().toISOString();
 
-  return supabase
-    .from('items')
+  return withHistory(id, () => from('items')
     .update(safeUpdates)
     .eq('id', id)
     .select()
+    .single()
+  );
+}
+
+/**
+ * Write back saved status, rank and completed_at values (used to undo)
+ * Rows returning to current go last, through setItemCurrent,
+ * so the single-current rule still holds (without counting as an interruption).
+ * Rows leaving done give up the next occurrence of a recurring item.
+ * @param {Array<{id: string, status: string, rank: string, completed_at: string}>} rows 
+ * @returns {Promise<{data: null, error: Object}>}
+ */
+export async function restoreItems(rows) {
+  const ordered = [...rows].sort((a, b) =>
+    (a.status === STATUSES.CURRENT) - (b.status === STATUSES.CURRENT)
+  );
+
+  for (const { id, status, ...fields } of ordered) {
+    if (status === STATUSES.CURRENT) {
+      const { error } = await setItemCurrent(id, { interrupt: false });
+      if (error) return { data: null, error };
+    }
+
+    const { error } = await withHistory(id, () => from('items')
+      .update({
+        ...(status !== STATUSES.CURRENT && { status }),
+        ...fields,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single()
+    );
+
+    if (error) return { data: null, error };
+
+    // Undoing "done" on a recurring item
+    if (status !== STATUSES.DONE) {
+      const { error: withdrawError } = await withdrawNextOccurrence(id);
+      if (withdrawError) return { data: null, error: withdrawError };
+    }
+  }
+
+  return { data: null, error: null };
+}
+
+/**
+ * Move an item to the trash (soft delete)
+ * A current item leaves current (so another can take over) and its
+ * interruptions are closed; it comes back as in_progress.
+ * @param {string} id 
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function deleteItem(id) {
+  const { data: before, error: fetchError } = await fetchItem(id);
+  if (fetchError) {
+    return { data: null, error: fetchError };
+  }
+
+  const wasCurrent = before.status === STATUSES.CURRENT;
+  const now = new Date().toISOString();
+
+  const result = await from('items')
+    .update({
+      deleted_at: now,
+      ...(wasCurrent && { status: STATUSES.IN_PROGRESS }),
+      updated_at: now,
+    })
+    .eq('id', id)
+    .select()
     .single();
+
+  if (!result.error) {
+    await trackFocusChange(before, result.data);
+    await popInterruptionsBy(id);
+    await resolveInterruptionsOf(id);
+    await recordItemEvent({
+      item_id: id,
+      type: EVENT_TYPES.DELETED,
+      ...(wasCurrent && { from_status: STATUSES.CURRENT, to_status: STATUSES.IN_PROGRESS }),
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Bring an item back from the trash
+ * @param {string} id 
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function restoreDeletedItem(id) {
+  const result = await from('items')
+    .update({
+      deleted_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (!result.error) {
+    await recordItemEvent({ item_id: id, type: EVENT_TYPES.RESTORED });
+  }
+
+  return result;
+}
+
+/**
+ * Permanently delete an item from the trash
+ * Items that aren't in the trash are left alone.
+ * @param {string} id 
+ * @returns {Promise<{data: null, error: Object}>}
+ */
+export async function purgeItem(id) {
+  return from('items')
+    .delete()
+    .eq('id', id)
+    .not('deleted_at', 'is', null);
+}
+
+/**
+ * Permanently delete items that have been in the trash longer than the retention period
+ * @param {number} retentionDays - Default: TRASH_RETENTION_DAYS
+ * @returns {Promise<{data: Array, error: Object}>} The purged items
+ */
+export async function purgeExpiredItems(retentionDays = TRASH_RETENTION_DAYS) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+  return from('items')
+    .delete()
+    .lt('deleted_at', cutoff)
+    .select();
+}
+
+/**
+ * Permanently delete an item (used to undo its creation)
+ * @param {string} id 
+ * @returns {Promise<{data: null, error: Object}>}
+ */
+export async function discardItem(id) {
+  return from('items')
+    .delete()
+    .eq('id', id);
+}
+
+/**
+ * Permanently delete several items (used to undo adding them together)
+ * @param {Array<string>} ids 
+ * @returns {Promise<{data: null, error: Object}>}
+ */
+export async function discardItems(ids) {
+  return from('items')
+    .delete()
+    .in('id', ids);
 }
 
 /**
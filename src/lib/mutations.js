@@ -0,0 +1,346 @@
+/**
+ * Item Mutations
+ *
+ * Board edits described as plain, serializable operations so they can be
+ * applied optimistically, queued while offline and replayed in order later.
+ *
+ * Operation shapes:
+ * - { type: 'status', id, status, reason } - reason is optional, for interruptions
+ * - { type: 'reorder', updates: [{ id, rank }] }
+ * - { type: 'create', item } - item is the full optimistic row, including id
+ * - { type: 'update', id, updates }
+ * - { type: 'restore', rows: [{ id, status, rank, completed_at }] } - undo of a status change
+ * - { type: 'discard', id } - undo of a create
+ * - { type: 'reopen', item, status, rank } - item is the done row being brought back
+ * - { type: 'delete', id } - move to the trash
+ * - { type: 'undelete', item } - item is the row being brought back from the trash
+ * - { type: 'escalate', id, promote, rank, escalated_at } - overdue item flagged (and promoted)
+ * - { type: 'create_many', items } - items are full rows, added in one write
+ * - { type: 'discard_many', ids } - undo of create_many
+ */
+
+import {
+  updateItemStatus,
+  reorderItems,
+  createItem,
+  createItems,
+  updateItem,
+  restoreItems,
+  discardItem,
+  discardItems,
+  reopenItem,
+  deleteItem,
+  restoreDeletedItem,
+  escalateItem,
+  STATUSES,
+  STATUS_LABELS,
+} from './items';
+import { rankBetween, compareRanks } from './rank';
+
+export const MUTATIONS = {
+  STATUS: 'status',
+  REORDER: 'reorder',
+  CREATE: 'create',
+  UPDATE: 'update',
+  RESTORE: 'restore',
+  DISCARD: 'discard',
+  REOPEN: 'reopen',
+  DELETE: 'delete',
+  UNDELETE: 'undelete',
+  ESCALATE: 'escalate',
+  CREATE_MANY: 'create_many',
+  DISCARD_MANY: 'discard_many',
+};
+
+// Fields saved by a status change so it can be undone
+const RESTORED_FIELDS = ['status', 'rank', 'completed_at'];
+
+/**
+ * Apply a mutation to a list of items (pure, used for optimistic state)
+ * Mirrors the rules enforced by the data layer, including single-current
+ * @param {Array} items
+ * @param {Object} op
+ * @returns {Array}
+ */
+export function applyMutation(items, op) {
+  switch (op.type) {
+    case MUTATIONS.STATUS:
+      return applyStatusChange(items, op.id, op.status);
+
+    case MUTATIONS.REORDER: {
+      const rankMap = new Map(op.updates.map(u => [u.id, u.rank]));
+      return items.map(item =>
+        rankMap.has(item.id) ? { ...item, rank: rankMap.get(item.id) } : item
+      );
+    }
+
+    case MUTATIONS.CREATE:
+      return items.some(item => item.id === op.item.id) ? items : [...items, op.item];
+
+    case MUTATIONS.UPDATE:
+      return items.map(item =>
+        item.id === op.id ? { ...item, ...op.updates } : item
+      );
+
+    case MUTATIONS.RESTORE:
+      return op.rows.reduce((updated, { id, status, ...fields }) => {
+        const withStatus = applyStatusChange(updated, id, status);
+        return withStatus.map(item => item.id === id ? { ...item, ...fields } : item);
+      }, items);
+
+    case MUTATIONS.DISCARD:
+      return items.filter(item => item.id !== op.id);
+
+    case MUTATIONS.CREATE_MANY:
+      return [...items, ...op.items.filter(row => !items.some(item => item.id === row.id))];
+
+    case MUTATIONS.DISCARD_MANY:
+      return items.filter(item => !op.ids.includes(item.id));
+
+    case MUTATIONS.REOPEN: {
+      // Done items may not be loaded; bring the row along
+      const reopened = { ...op.item, status: op.status, rank: op.rank, completed_at: null };
+      return items.some(item => item.id === op.item.id)
+        ? items.map(item => item.id === op.item.id ? reopened : item)
+        : [...items, reopened];
+    }
+
+    case MUTATIONS.DELETE:
+      return items.filter(item => item.id !== op.id);
+
+    case MUTATIONS.UNDELETE: {
+      // Deleting a current item moved it to in_progress
+      const restored = {
+        ...op.item,
+        status: op.item.status === STATUSES.CURRENT ? STATUSES.IN_PROGRESS : op.item.status,
+        deleted_at: null,
+      };
+      return items.some(item => item.id === op.item.id)
+        ? items.map(item => item.id === op.item.id ? restored : item)
+        : [...items, restored];
+    }
+
+    case MUTATIONS.ESCALATE: {
+      const moved = op.promote ? applyStatusChange(items, op.id, STATUSES.IN_PROGRESS) : items;
+      return moved.map(item => item.id === op.id
+        ? { ...item, escalated_at: op.escalated_at, ...(op.promote && { rank: op.rank }) }
+        : item
+      );
+    }
+
+    default:
+      return items;
+  }
+}
+
+/**
+ * Persist a mutation through the data layer
+ * @param {Object} op
+ * @returns {Promise<{data: any, error: Object}>}
+ */
+export async function executeMutation(op) {
+  switch (op.type) {
+    case MUTATIONS.STATUS:
+      return updateItemStatus(op.id, op.status, { reason: op.reason });
+
+    case MUTATIONS.REORDER: {
+      const { error } = await reorderItems(op.updates);
+      return { data: null, error };
+    }
+
+    case MUTATIONS.CREATE:
+      return createItem(op.item);
+
+    case MUTATIONS.UPDATE:
+      return updateItem(op.id, op.updates);
+
+    case MUTATIONS.RESTORE:
+      return restoreItems(op.rows);
+
+    case MUTATIONS.DISCARD:
+      return discardItem(op.id);
+
+    case MUTATIONS.CREATE_MANY:
+      return createItems(op.items);
+
+    case MUTATIONS.DISCARD_MANY:
+      return discardItems(op.ids);
+
+    case MUTATIONS.REOPEN:
+      return reopenItem(op.item.id, op.status, op.rank);
+
+    case MUTATIONS.DELETE:
+      return deleteItem(op.id);
+
+    case MUTATIONS.UNDELETE:
+      return restoreDeletedItem(op.item.id);
+
+    case MUTATIONS.ESCALATE:
+      return escalateItem(op.id, { promote: op.promote, rank: op.rank, escalatedAt: op.escalated_at });
+
+    default:
+      return { data: null, error: { message: `Unknown mutation: ${op.type}` } };
+  }
+}
+
+/**
+ * IDs of the items a mutation touches
+ * @param {Object} op
+ * @returns {Array<string>}
+ */
+export function mutationItemIds(op) {
+  switch (op.type) {
+    case MUTATIONS.REORDER:
+      return op.updates.map(u => u.id);
+    case MUTATIONS.CREATE:
+    case MUTATIONS.REOPEN:
+    case MUTATIONS.UNDELETE:
+      return [op.item.id];
+    case MUTATIONS.RESTORE:
+      return op.rows.map(row => row.id);
+    case MUTATIONS.CREATE_MANY:
+      return op.items.map(item => item.id);
+    case MUTATIONS.DISCARD_MANY:
+      return op.ids;
+    default:
+      return [op.id];
+  }
+}
+
+/**
+ * Build the mutation that undoes another one
+ * Must be called with the items as they were before the mutation was applied.
+ * @param {Array} items - State before the mutation
+ * @param {Object} op
+ * @returns {Object|null} Inverse mutation, or null if it can't be undone
+ */
+export function invertMutation(items, op) {
+  const find = (id) => items.find(item => item.id === id);
+  const snapshot = (item) => ({
+    id: item.id,
+    ...Object.fromEntries(RESTORED_FIELDS.map(field => [field, item[field] ?? null])),
+  });
+
+  switch (op.type) {
+    case MUTATIONS.STATUS: {
+      const target = find(op.id);
+      if (!target) return null;
+
+      const rows = [snapshot(target)];
+
+      // Setting current also demotes the previous current item
+      const previousCurrent = items.find(item => item.status === STATUSES.CURRENT);
+      if (op.status === STATUSES.CURRENT && previousCurrent && previousCurrent.id !== op.id) {
+        rows.push(snapshot(previousCurrent));
+      }
+
+      return { type: MUTATIONS.RESTORE, rows };
+    }
+
+    case MUTATIONS.REORDER: {
+      const updates = op.updates
+        .filter(u => find(u.id))
+        .map(u => ({ id: u.id, rank: find(u.id).rank }));
+      return updates.length > 0 ? { type: MUTATIONS.REORDER, updates } : null;
+    }
+
+    case MUTATIONS.CREATE:
+      return { type: MUTATIONS.DISCARD, id: op.item.id };
+
+    case MUTATIONS.CREATE_MANY:
+      return { type: MUTATIONS.DISCARD_MANY, ids: op.items.map(item => item.id) };
+
+    case MUTATIONS.REOPEN:
+      return { type: MUTATIONS.RESTORE, rows: [snapshot(op.item)] };
+
+    case MUTATIONS.DELETE: {
+      const target = find(op.id);
+      return target ? { type: MUTATIONS.UNDELETE, item: target } : null;
+    }
+
+    case MUTATIONS.UNDELETE:
+      return { type: MUTATIONS.DELETE, id: op.item.id };
+
+    case MUTATIONS.UPDATE: {
+      const target = find(op.id);
+      if (!target) return null;
+
+      const updates = Object.fromEntries(
+        Object.keys(op.updates).map(field => [field, target[field] ?? null])
+      );
+      return { type: MUTATIONS.UPDATE, id: op.id, updates };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Short, human-readable description of a mutation (for undo toasts)
+ * @param {Array} items - State before the mutation
+ * @param {Object} op
+ * @returns {string}
+ */
+export function describeMutation(items, op) {
+  const titleOf = (id) => items.find(item => item.id === id)?.title ?? 'item';
+
+  switch (op.type) {
+    case MUTATIONS.STATUS:
+      return `Moved "${titleOf(op.id)}" to ${STATUS_LABELS[op.status]}`;
+    case MUTATIONS.REORDER:
+      return op.updates.length === 1 ? `Reordered "${titleOf(op.updates[0].id)}"` : 'Reordered items';
+    case MUTATIONS.CREATE:
+      return `Added "${op.item.title}"`;
+    case MUTATIONS.CREATE_MANY:
+      return `Added ${op.items.length} items`;
+    case MUTATIONS.REOPEN:
+      return `Restored "${op.item.title}" to ${STATUS_LABELS[op.status]}`;
+    case MUTATIONS.DELETE:
+      return `Moved "${titleOf(op.id)}" to the trash`;
+    case MUTATIONS.UNDELETE:
+      return `Restored "${op.item.title}" from the trash`;
+    case MUTATIONS.UPDATE:
+      return `Edited "${titleOf(op.id)}"`;
+    case MUTATIONS.ESCALATE:
+      return `"${titleOf(op.id)}" is overdue`;
+    default:
+      return 'Changed items';
+  }
+}
+
+/**
+ * Optimistic status change
+ * When setting current, previous current goes to top of in_progress
+ */
+function applyStatusChange(items, id, newStatus) {
+  let updated = [...items];
+
+  // If setting current, move previous current to top of in_progress
+  if (newStatus === STATUSES.CURRENT) {
+    const previousCurrent = updated.find(item => item.status === STATUSES.CURRENT);
+    if (previousCurrent && previousCurrent.id !== id) {
+      // Rank it above the first in_progress item
+      const topItem = updated
+        .filter(item => item.status === STATUSES.IN_PROGRESS)
+        .sort(compareRanks)[0];
+
+      updated = updated.map(item =>
+        item.id === previousCurrent.id
+          ? { ...item, status: STATUSES.IN_PROGRESS, rank: rankBetween(null, topItem?.rank ?? null) }
+          : item
+      );
+    }
+  }
+
+  // Update the target item
+  return updated.map(item =>
+    item.id === id
+      ? {
+          ...item,
+          status: newStatus,
+          completed_at: newStatus === STATUSES.DONE ? new Date().toISOString() : null
+        }
+      : item
+  );
+}
@@ -0,0 +1,157 @@
+/**
+ * Notifications
+ *
+ * Shows reminder alerts with the browser Notifications API. When a service
+ * worker is available (public/sw.js) notifications carry snooze actions and
+ * clicks reach the app even if its tab was closed; otherwise plain
+ * notifications are used and clicking one opens the item.
+ * Reminders are timed by the page, so they only alert while a Brightly tab is
+ * open (missed ones alert when it opens again).
+ *
+ * Clicks come back to the app as actions: { action: 'open' | 'snooze', itemId, refCode, option }
+ * - from the service worker as a message, while the app is open
+ * - when the service worker had to open the app: opening is a link to the
+ *   item (/item/<ref>), a snooze is in the URL (?reminder=<id>&action=...)
+ */
+
+import { SNOOZE_OPTIONS, SNOOZE_LABELS } from './reminders';
+
+const ACTION_MESSAGE = 'reminder-action';
+
+/**
+ * Current notification permission
+ * @returns {string} 'granted' | 'denied' | 'default' | 'unsupported'
+ */
+export function notificationPermission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+/**
+ * Ask for permission to show notifications (must follow a user gesture)
+ * @returns {Promise<string>} The resulting permission
+ */
+export async function requestNotificationPermission() {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  return Notification.requestPermission();
+}
+
+/**
+ * Register the service worker that handles notification clicks
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return null;
+  }
+
+  try {
+    return await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+  } catch {
+    // Not allowed here (e.g. plain http): fall back to plain notifications
+    return null;
+  }
+}
+
+/**
+ * Alert for reminders that are due
+ * More than a few at once (e.g. catching up after a while) become one summary.
+ * @param {Array} items
+ * @param {Function} onAction - Called with the action when a plain notification is clicked
+ */
+export async function showReminderNotifications(items, onAction) {
+  if (notificationPermission() !== 'granted' || items.length === 0) return;
+
+  if (items.length > 3) {
+    await show(`${items.length} reminders are due`, {
+      body: items.map(item => item.title).join(', '),
+      tag: 'brightly-reminders',
+      data: { itemId: null },
+    }, onAction);
+    return;
+  }
+
+  for (const item of items) {
+    await show(item.title, {
+      body: item.notes || 'Reminder is due',
+      tag: `brightly-reminder-${item.id}`,
+      data: { itemId: item.id, refCode: item.ref_code },
+      requireInteraction: true,
+    }, onAction);
+  }
+}
+
+/**
+ * Listen for notification clicks relayed by the service worker
+ * @param {Function} onAction - Called with {action, itemId, option}
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToNotificationActions(onAction) {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return () => {};
+  }
+
+  const handleMessage = (event) => {
+    if (event.data?.type === ACTION_MESSAGE) {
+      onAction(event.data);
+    }
+  };
+
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+}
+
+/**
+ * Read (and clear) a notification action passed in the URL when the service
+ * worker opened the app
+ * @returns {Object|null} {action, itemId, option}
+ */
+export function takeNotificationActionFromUrl() {
+  const url = new URL(window.location.href);
+  const itemId = url.searchParams.get('reminder');
+  if (!itemId) return null;
+
+  const [action, option] = (url.searchParams.get('action') || 'open').split(':');
+
+  url.searchParams.delete('reminder');
+  url.searchParams.delete('action');
+  window.history.replaceState(window.history.state, '', url);
+
+  return { action, itemId, option };
+}
+
+/**
+ * Snooze buttons for a notification
+ * If not every option fits, the last button opens the item instead, where
+ * all the snooze options are.
+ */
+function snoozeActions(maxActions) {
+  const options = Object.values(SNOOZE_OPTIONS);
+  const fits = options.length <= maxActions;
+
+  const actions = options.slice(0, fits ? options.length : maxActions - 1).map(option => ({
+    action: `snooze:${option}`,
+    title: `Snooze ${SNOOZE_LABELS[option]}`,
+  }));
+
+  return fits || maxActions < 1 ? actions : [...actions, { action: 'open', title: 'Snooze…' }];
+}
+
+async function show(title, options, onAction) {
+  const registration = await navigator.serviceWorker?.getRegistration();
+
+  if (registration) {
+    const actions = options.data.itemId ? snoozeActions(Notification.maxActions ?? 2) : [];
+
+    await registration.showNotification(title, { ...options, actions });
+    return;
+  }
+
+  const notification = new Notification(title, options);
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+    if (options.data.itemId) {
+      onAction({ action: 'open', itemId: options.data.itemId, refCode: options.data.refCode });
+    }
+  };
+}
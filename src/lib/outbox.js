@@ -0,0 +1,115 @@
+/**
+ * Outbox
+ *
+ * Persistent, ordered queue of pending mutations.
+ * Every board edit is queued here first and replayed in order, so edits made
+ * while the backend can't be reached survive until the connection is back
+ * (including across page reloads).
+ *
+ * The outbox is shared by every tab, so only one tab replays it at a time
+ * (through a Web Lock); the others wait and then find the entries gone.
+ */
+
+const OUTBOX_KEY = 'brightly.outbox';
+const OUTBOX_LOCK = 'brightly.outbox';
+
+export const SYNC_STATUSES = {
+  SYNCED: 'synced',   // Nothing left to send
+  PENDING: 'pending', // Waiting for the connection to come back
+  FAILED: 'failed',   // The backend rejected a mutation
+};
+
+/**
+ * Read all pending entries, oldest first
+ * @returns {Array<{id: string, op: Object, queued_at: string}>}
+ */
+export function getOutbox() {
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_KEY) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+function saveOutbox(entries) {
+  try {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+  } catch {
+    // Storage unavailable: the queue only lives for this session
+  }
+}
+
+/**
+ * Append a mutation to the outbox
+ * @param {Object} op - Serializable mutation
+ * @returns {Object} The queued entry
+ */
+export function enqueue(op) {
+  const entry = {
+    id: crypto.randomUUID(),
+    op,
+    queued_at: new Date().toISOString(),
+  };
+  saveOutbox([...getOutbox(), entry]);
+  return entry;
+}
+
+function dequeue(entryId) {
+  saveOutbox(getOutbox().filter(entry => entry.id !== entryId));
+}
+
+/**
+ * Check whether an error means the backend couldn't be reached
+ * (as opposed to the backend rejecting the request)
+ * @param {Object} error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  if (!error) return false;
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  return /failed to fetch|networkerror|network request failed|load failed/i.test(error.message || '');
+}
+
+/**
+ * Replay queued mutations in order
+ * Stops at the first network error so later edits never overtake earlier ones.
+ * Rejected mutations are dropped so they don't block the queue.
+ * @param {Function} execute - (op) => Promise<{error}>
+ * @returns {Promise<{status: string, error: Object|null}>}
+ */
+export async function replayOutbox(execute) {
+  // Without Web Locks (older browsers) tabs can't coordinate, so replay unguarded
+  if (typeof navigator === 'undefined' || !navigator.locks) {
+    return replayEntries(execute);
+  }
+
+  return navigator.locks.request(OUTBOX_LOCK, () => replayEntries(execute));
+}
+
+async function replayEntries(execute) {
+  let firstError = null;
+  let entry;
+
+  while ((entry = getOutbox()[0])) {
+    let error;
+    try {
+      ({ error } = await execute(entry.op));
+    } catch (err) {
+      error = { message: err.message };
+    }
+
+    if (error && isNetworkError(error)) {
+      return { status: SYNC_STATUSES.PENDING, error: null };
+    }
+
+    dequeue(entry.id);
+
+    if (error && !firstError) {
+      firstError = error;
+    }
+  }
+
+  return firstError
+    ? { status: SYNC_STATUSES.FAILED, error: firstError }
+    : { status: SYNC_STATUSES.SYNCED, error: null };
+}
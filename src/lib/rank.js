@@ -0,0 +1,124 @@
+/**
+ * Fractional Ranking
+ *
+ * Items are ordered by a lexicographic `rank` key instead of integer positions.
+ * A key can always be generated between any two others, so moving an item only
+ * writes the item that moved.
+ *
+ * Keys are base-62 fractions: digits 0-9A-Za-z (ASCII order), read as the
+ * digits after a decimal point, never ending in '0'. They must be compared by
+ * code point (plain < / >, or the "C" collation in Postgres), not localeCompare.
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+// Keys longer than this trigger a background rebalance of their list
+export const MAX_RANK_LENGTH = 12;
+
+/**
+ * Generate a key strictly between two keys
+ * @param {string|null} before - Key to sort after (null for the start)
+ * @param {string|null} after - Key to sort before (null for the end)
+ * @returns {string}
+ */
+export function rankBetween(before, after) {
+  if (before !== null && after !== null && before >= after) {
+    throw new Error(`Invalid rank range: ${before} >= ${after}`);
+  }
+  return midpoint(before ?? '', after);
+}
+
+/**
+ * Compare two items by rank (for Array.prototype.sort)
+ * Items without a rank sort last
+ */
+export function compareRanks(a, b) {
+  if (a.rank == null || b.rank == null) {
+    return (a.rank == null) - (b.rank == null);
+  }
+  if (a.rank === b.rank) return 0;
+  return a.rank < b.rank ? -1 : 1;
+}
+
+/**
+ * Evenly spaced keys for a list of a given length, as short as possible
+ * Used to (re)rank a whole list at once
+ * @param {number} count
+ * @returns {Array<string>}
+ */
+export function spreadRanks(count) {
+  let length = 1;
+  while (BASE ** length <= count + 1) {
+    length++;
+  }
+
+  const space = BASE ** length;
+  return Array.from({ length: count }, (_, index) => {
+    const value = Math.floor(((index + 1) * space) / (count + 1));
+    return encode(value, length).replace(/0+$/, '');
+  });
+}
+
+/**
+ * Fresh, evenly spaced ranks for a whole list (in display order)
+ * @param {Array<{id: string}>} items
+ * @returns {Array<{id: string, rank: string}>}
+ */
+export function rerank(items) {
+  const ranks = spreadRanks(items.length);
+  return items.map((item, index) => ({ id: item.id, rank: ranks[index] }));
+}
+
+/**
+ * Whether a list (in display order) needs fresh ranks:
+ * missing keys, keys out of order or keys that grew too long
+ * @param {Array<{rank: string}>} items
+ * @returns {boolean}
+ */
+export function needsRebalance(items) {
+  return items.some((item, index) =>
+    !item.rank ||
+    item.rank.length > MAX_RANK_LENGTH ||
+    (index > 0 && items[index - 1].rank >= item.rank)
+  );
+}
+
+/**
+ * Midpoint of two fractions given as digit strings
+ * a may be '' (zero), b may be null (one)
+ */
+function midpoint(a, b) {
+  if (b !== null) {
+    // Skip the common prefix (a is padded with zeros)
+    let n = 0;
+    while ((a[n] || '0') === b[n]) {
+      n++;
+    }
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : BASE;
+
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+
+  // Consecutive first digits
+  if (b !== null && b.length > 1) {
+    return b[0];
+  }
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+function encode(value, length) {
+  let key = '';
+  for (let i = 0; i < length; i++) {
+    key = DIGITS[value % BASE] + key;
+    value = Math.floor(value / BASE);
+  }
+  return key;
+}
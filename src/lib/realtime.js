@@ -0,0 +1,108 @@
+/**
+ * Realtime Sync
+ * 
+ * Merges row changes made elsewhere (other tabs, other devices) into
+ * already-loaded state, without refetching.
+ * Works the same against Supabase Realtime and the local change feed.
+ */
+
+import { subscribe } from './storage';
+import { STATUSES } from './items';
+import { itemZoneIds } from './zones';
+
+/**
+ * Subscribe to item changes
+ * @param {Function} onChange - Called with {eventType, new, old}
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToItems(onChange) {
+  return subscribe('items', onChange);
+}
+
+/**
+ * Subscribe to zone changes
+ * @param {Function} onChange - Called with {eventType, new, old}
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToZones(onChange) {
+  return subscribe('zones', onChange);
+}
+
+/**
+ * Subscribe to item history changes
+ * @param {Function} onChange - Called with {eventType, new, old}
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToItemEvents(onChange) {
+  return subscribe('item_events', onChange);
+}
+
+/**
+ * Subscribe to focus session changes
+ * @param {Function} onChange - Called with {eventType, new, old}
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToFocusSessions(onChange) {
+  return subscribe('focus_sessions', onChange);
+}
+
+/**
+ * Subscribe to interruption stack changes
+ * @param {Function} onChange - Called with {eventType, new, old}
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToInterruptions(onChange) {
+  return subscribe('interruptions', onChange);
+}
+
+/**
+ * Merge a row change into a list of rows
+ * @param {Array} rows 
+ * @param {Object} payload - {eventType, new, old}
+ * @param {Function} matches - Whether a row belongs in the list (e.g. active filters)
+ * @returns {Array}
+ */
+export function mergeRowChange(rows, payload, matches = () => true) {
+  const id = payload.new?.id ?? payload.old?.id;
+  const without = rows.filter(row => row.id !== id);
+
+  if (payload.eventType === 'DELETE' || !matches(payload.new)) {
+    return without.length === rows.length ? rows : without;
+  }
+
+  const exists = without.length !== rows.length;
+  return exists
+    ? rows.map(row => row.id === id ? { ...row, ...payload.new } : row)
+    : [...rows, payload.new];
+}
+
+/**
+ * Merge an item change, respecting the active filters and the single-current rule
+ * Deleted (trashed) items always drop out.
+ * If the changed item became current, any other current item is demoted locally;
+ * its own change event (with its new rank) follows from the server.
+ * @param {Array} items 
+ * @param {Object} payload - {eventType, new, old}
+ * @param {Object} filters
+ * @param {boolean} filters.includeDone
+ * @param {string} filters.zoneId
+ * @returns {Array}
+ */
+export function mergeItemChange(items, payload, { includeDone = false, zoneId = null } = {}) {
+  const matches = (item) =>
+    !item.deleted_at &&
+    (includeDone || item.status !== STATUSES.DONE) &&
+    (!zoneId || itemZoneIds(item).includes(zoneId));
+
+  const merged = mergeRowChange(items, payload, matches);
+
+  if (payload.eventType === 'DELETE' || payload.new.status !== STATUSES.CURRENT) {
+    return merged;
+  }
+
+  return merged.map(item =>
+    item.status === STATUSES.CURRENT && item.id !== payload.new.id
+      ? { ...item, status: STATUSES.IN_PROGRESS }
+      : item
+  );
+}
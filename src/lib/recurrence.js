@@ -0,0 +1,155 @@
+/**
+ * Recurrence
+ *
+ * Repeat rules for reminders, stored on the item (items.recurrence):
+ * - { type: 'daily', interval } - every `interval` days (default 1)
+ * - { type: 'weekly', days } - on the given weekdays (0 = Sunday ... 6 = Saturday)
+ * - { type: 'monthly' } - on the same day of the month as the due date
+ *   (the last day in shorter months)
+ * - { type: 'after', interval } - `interval` days after it was done
+ *
+ * Finishing a recurring item creates its next occurrence (see setItemDone).
+ * Every occurrence shares the series_id of the first one.
+ *
+ * Occurrences keep the due date's time of day, in the browser's local time.
+ */
+
+import { parseDueDate } from './dueDates';
+import { REMINDER_HOUR } from './constants';
+
+export const RECURRENCE_TYPES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  AFTER: 'after',
+};
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Check a repeat rule
+ * @param {Object} recurrence
+ * @returns {Object|null} Error, or null if valid
+ */
+export function validateRecurrence(recurrence) {
+  if (!recurrence) return null;
+
+  switch (recurrence.type) {
+    case RECURRENCE_TYPES.DAILY:
+    case RECURRENCE_TYPES.AFTER:
+      if (!Number.isInteger(recurrence.interval ?? 1) || (recurrence.interval ?? 1) < 1) {
+        return { message: 'Repeat interval must be a whole number of days' };
+      }
+      return null;
+
+    case RECURRENCE_TYPES.WEEKLY:
+      if (!Array.isArray(recurrence.days) || recurrence.days.length === 0 ||
+        recurrence.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return { message: 'Pick at least one day of the week' };
+      }
+      return null;
+
+    case RECURRENCE_TYPES.MONTHLY:
+      return null;
+
+    default:
+      return { message: `Unknown repeat rule: ${recurrence.type}` };
+  }
+}
+
+/**
+ * Due date of the next occurrence
+ * Keeps the time of day of the due date (local time, across daylight saving changes).
+ * Rules tied to the calendar skip occurrences that were already missed, so
+ * finishing a daily reminder late schedules it after the moment it was done.
+ * @param {Object} recurrence
+ * @param {Object} occurrence
+ * @param {string|null} occurrence.dueDate - Due date of the occurrence being finished
+ * @param {string} occurrence.completedAt - When it was done (ISO timestamp)
+ * @returns {string} ISO timestamp
+ */
+export function nextDueDate(recurrence, { dueDate, completedAt }) {
+  const doneAt = new Date(completedAt);
+  const due = parseDueDate(dueDate);
+
+  // Without a due date, count from the day it was done, at the reminder hour
+  const start = due ?? new Date(doneAt.getFullYear(), doneAt.getMonth(), doneAt.getDate(), REMINDER_HOUR);
+
+  if (recurrence.type === RECURRENCE_TYPES.AFTER) {
+    const sameTimeDone = new Date(doneAt.getFullYear(), doneAt.getMonth(), doneAt.getDate(), start.getHours(), start.getMinutes());
+    return addDays(sameTimeDone, recurrence.interval ?? 1).toISOString();
+  }
+
+  let next = start;
+  let step = 0;
+
+  do {
+    step++;
+    switch (recurrence.type) {
+      case RECURRENCE_TYPES.DAILY:
+        next = addDays(start, step * (recurrence.interval ?? 1));
+        break;
+      case RECURRENCE_TYPES.WEEKLY:
+        next = nextWeekday(next, recurrence.days);
+        break;
+      case RECURRENCE_TYPES.MONTHLY:
+        next = addMonths(start, step);
+        break;
+      default:
+        return addDays(doneAt, 1).toISOString();
+    }
+  } while (next <= doneAt);
+
+  return next.toISOString();
+}
+
+/**
+ * Short description of a repeat rule, e.g. "Weekly on Mon, Thu"
+ * @param {Object|null} recurrence
+ * @returns {string}
+ */
+export function describeRecurrence(recurrence) {
+  if (!recurrence) return 'Does not repeat';
+
+  const interval = recurrence.interval ?? 1;
+
+  switch (recurrence.type) {
+    case RECURRENCE_TYPES.DAILY:
+      return interval === 1 ? 'Every day' : `Every ${interval} days`;
+    case RECURRENCE_TYPES.WEEKLY:
+      return `Weekly on ${[...recurrence.days].sort().map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+    case RECURRENCE_TYPES.MONTHLY:
+      return 'Monthly';
+    case RECURRENCE_TYPES.AFTER:
+      return `${interval} day${interval === 1 ? '' : 's'} after done`;
+    default:
+      return 'Repeats';
+  }
+}
+
+// Date math in local time: the time of day stays put when clocks change
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days, date.getHours(), date.getMinutes());
+}
+
+function addMonths(date, months) {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+  return new Date(
+    date.getFullYear(),
+    date.getMonth() + months,
+    Math.min(date.getDate(), lastDay),
+    date.getHours(),
+    date.getMinutes()
+  );
+}
+
+function nextWeekday(date, days) {
+  for (let offset = 1; offset <= 7; offset++) {
+    const next = addDays(date, offset);
+    if (days.includes(next.getDay())) {
+      return next;
+    }
+  }
+  return addDays(date, 7);
+}
@@ -0,0 +1,124 @@
+/**
+ * Reminders
+ *
+ * Works out when items with a due date should alert, and which alerts are due.
+ * An item alerts once per reminder time: at its due date (see ./dueDates),
+ * or at snoozed_until after a snooze.
+ *
+ * Which reminder times this browser already alerted for is kept in
+ * localStorage, so missed reminders are caught up when the app opens without
+ * repeating the ones already shown.
+ */
+
+import { STATUSES, REMINDER_HOUR } from './constants';
+import { parseDueDate } from './dueDates';
+
+const NOTIFIED_KEY = 'brightly.notified';
+
+export const SNOOZE_OPTIONS = {
+  TEN_MINUTES: '10m',
+  ONE_HOUR: '1h',
+  TOMORROW: 'tomorrow',
+};
+
+export const SNOOZE_LABELS = {
+  [SNOOZE_OPTIONS.TEN_MINUTES]: '10 min',
+  [SNOOZE_OPTIONS.ONE_HOUR]: '1 hour',
+  [SNOOZE_OPTIONS.TOMORROW]: 'Tomorrow',
+};
+
+/**
+ * When an item should alert
+ * @param {Object} item
+ * @returns {Date|null} null if it never alerts (no due date, done or deleted)
+ */
+export function reminderTime(item) {
+  if (!item.due_date || item.status === STATUSES.DONE || item.deleted_at) {
+    return null;
+  }
+
+  if (item.snoozed_until) {
+    return new Date(item.snoozed_until);
+  }
+
+  return parseDueDate(item.due_date);
+}
+
+/**
+ * Items whose reminder time has come and that haven't alerted for it yet
+ * @param {Array} items
+ * @param {number} now - Timestamp
+ * @returns {Array}
+ */
+export function findDueReminders(items, now) {
+  const notified = getNotified();
+
+  return items.filter(item => {
+    const time = reminderTime(item);
+    return time && time.getTime() <= now && notified[item.id] !== time.toISOString();
+  });
+}
+
+/**
+ * The next time any of the items should alert
+ * @param {Array} items
+ * @param {number} now - Timestamp
+ * @returns {number|null} Timestamp, or null if nothing is coming up
+ */
+export function nextReminderAt(items, now) {
+  const upcoming = items
+    .map(item => reminderTime(item)?.getTime())
+    .filter(time => time > now);
+
+  return upcoming.length > 0 ? Math.min(...upcoming) : null;
+}
+
+/**
+ * Remember that items alerted for their current reminder time
+ * Entries for items not in the list are dropped.
+ * @param {Array} alerted - Items that just alerted
+ * @param {Array} items - All items with reminders
+ */
+export function markNotified(alerted, items) {
+  const notified = getNotified();
+  const kept = Object.fromEntries(
+    Object.entries(notified).filter(([id]) => items.some(item => item.id === id))
+  );
+
+  for (const item of alerted) {
+    kept[item.id] = reminderTime(item)?.toISOString();
+  }
+
+  try {
+    localStorage.setItem(NOTIFIED_KEY, JSON.stringify(kept));
+  } catch {
+    // Storage unavailable: reminders may alert again after a reload
+  }
+}
+
+/**
+ * When a snoozed reminder should alert again
+ * @param {string} option - One of SNOOZE_OPTIONS
+ * @param {number} now - Timestamp
+ * @returns {string} ISO timestamp
+ */
+export function snoozeUntil(option, now) {
+  switch (option) {
+    case SNOOZE_OPTIONS.ONE_HOUR:
+      return new Date(now + 60 * 60 * 1000).toISOString();
+    case SNOOZE_OPTIONS.TOMORROW: {
+      const date = new Date(now);
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1, REMINDER_HOUR).toISOString();
+    }
+    default:
+      return new Date(now + 10 * 60 * 1000).toISOString();
+  }
+}
+
+function getNotified() {
+  try {
+    return JSON.parse(localStorage.getItem(NOTIFIED_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
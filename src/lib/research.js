@@ -0,0 +1,147 @@
+/**
+ * Research
+ *
+ * Research items keep a reading list and what was learned from it, stored on
+ * the item like its checklist (see ./subtasks):
+ * - items.sources: [{ id, url, title, type, read }]
+ * - items.findings: [{ id, source_id, text, created_at }] - source_id is null for general findings
+ *
+ * All functions here are pure and return a new list.
+ */
+
+export const SOURCE_TYPES = {
+  ARTICLE: 'article',
+  PAPER: 'paper',
+  VIDEO: 'video',
+  BOOK: 'book',
+  OTHER: 'other',
+};
+
+export const SOURCE_TYPE_LABELS = {
+  [SOURCE_TYPES.ARTICLE]: 'Article',
+  [SOURCE_TYPES.PAPER]: 'Paper',
+  [SOURCE_TYPES.VIDEO]: 'Video',
+  [SOURCE_TYPES.BOOK]: 'Book',
+  [SOURCE_TYPES.OTHER]: 'Other',
+};
+
+/**
+ * Sources of an item
+ * @param {Object} item
+ * @returns {Array<{id: string, url: string|null, title: string, type: string, read: boolean}>}
+ */
+export function itemSources(item) {
+  return item.sources ?? [];
+}
+
+/**
+ * Findings of an item, oldest first
+ * @param {Object} item
+ * @returns {Array<{id: string, source_id: string|null, text: string, created_at: string}>}
+ */
+export function itemFindings(item) {
+  return item.findings ?? [];
+}
+
+/**
+ * Name to show for a source: its title, else the URL's host
+ * @param {Object} source
+ * @returns {string}
+ */
+export function sourceLabel(source) {
+  if (source.title) return source.title;
+
+  try {
+    return new URL(source.url).hostname.replace(/^www\./, '');
+  } catch {
+    return source.url || 'Untitled source';
+  }
+}
+
+/**
+ * Append a source (unread)
+ * @param {Array} sources
+ * @param {Object} source
+ * @param {string} source.url - Optional
+ * @param {string} source.title - Optional if a URL is given
+ * @param {string} source.type - One of SOURCE_TYPES, defaults to article
+ * @returns {Array}
+ */
+export function addSource(sources, { url, title, type }) {
+  return [...sources, {
+    id: crypto.randomUUID(),
+    url: url?.trim() || null,
+    title: title?.trim() || '',
+    type: type || SOURCE_TYPES.ARTICLE,
+    read: false,
+  }];
+}
+
+/**
+ * Edit a source
+ * @param {Array} sources
+ * @param {string} id
+ * @param {Object} updates - {url, title, type, read}
+ * @returns {Array}
+ */
+export function updateSource(sources, id, updates) {
+  return sources.map(source =>
+    source.id === id ? { ...source, ...updates } : source
+  );
+}
+
+/**
+ * Remove a source
+ * Its findings are kept as general findings, so nothing learned is lost.
+ * @param {Object} item
+ * @param {string} id
+ * @returns {{sources: Array, findings: Array}} Both fields to save
+ */
+export function removeSource(item, id) {
+  return {
+    sources: itemSources(item).filter(source => source.id !== id),
+    findings: itemFindings(item).map(finding =>
+      finding.source_id === id ? { ...finding, source_id: null } : finding
+    ),
+  };
+}
+
+/**
+ * Append a finding
+ * @param {Array} findings
+ * @param {Object} finding
+ * @param {string} finding.text - Required
+ * @param {string|null} finding.source_id - Source it came from, if any
+ * @returns {Array}
+ */
+export function addFinding(findings, { text, source_id = null }) {
+  return [...findings, {
+    id: crypto.randomUUID(),
+    source_id,
+    text: text.trim(),
+    created_at: new Date().toISOString(),
+  }];
+}
+
+/**
+ * Remove a finding
+ * @param {Array} findings
+ * @param {string} id
+ * @returns {Array}
+ */
+export function removeFinding(findings, id) {
+  return findings.filter(finding => finding.id !== id);
+}
+
+/**
+ * Reading progress of an item
+ * @param {Object} item
+ * @returns {{read: number, total: number}}
+ */
+export function readingProgress(item) {
+  const sources = itemSources(item);
+  return {
+    read: sources.filter(source => source.read).length,
+    total: sources.length,
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Routing
+ *
+ * The selected item and the filters are kept in the URL, so a view can be
+ * bookmarked or shared:
+ * - /item/OBJ-A3F2K opens the item with that ref code
+ * - ?zones=<id>,<id>&categories=objectives,research sets the filters
+ * Other query parameters (e.g. from a notification click) are left alone.
+ * Paths are under the app's base URL (Vite's `base`), so /app/item/... when
+ * it is served from /app/.
+ */
+
+import { CONTEXTS } from './constants';
+
+const BASE_URL = import.meta.env.BASE_URL;
+const ITEM_PATH = /^item\/([^/]+)\/?$/;
+
+/**
+ * Read a route from a URL
+ * @param {string} href
+ * @returns {{refCode: string|null, zoneIds: Array<string>, categoryIds: Array<string>}}
+ */
+export function parseRoute(href) {
+  const url = new URL(href);
+  const path = url.pathname.startsWith(BASE_URL) ? url.pathname.slice(BASE_URL.length) : '';
+  const itemMatch = path.match(ITEM_PATH);
+
+  return {
+    refCode: itemMatch ? decodeURIComponent(itemMatch[1]).toUpperCase() : null,
+    zoneIds: listParam(url, 'zones'),
+    categoryIds: listParam(url, 'categories')
+      .filter(context => Object.values(CONTEXTS).includes(context)),
+  };
+}
+
+/**
+ * URL for a route, keeping the other parts of the current URL
+ * @param {string} href - Current URL
+ * @param {Object} route - Same shape as parseRoute returns
+ * @returns {string} Path, query and hash
+ */
+export function buildRoute(href, { refCode, zoneIds, categoryIds }) {
+  const url = new URL(href);
+
+  url.pathname = refCode ? `${BASE_URL}item/${encodeURIComponent(refCode)}` : BASE_URL;
+  setListParam(url, 'zones', zoneIds);
+  setListParam(url, 'categories', categoryIds);
+
+  // Keep list separators readable
+  return `${url.pathname}${url.search.replace(/%2C/gi, ',')}${url.hash}`;
+}
+
+function listParam(url, name) {
+  return (url.searchParams.get(name) || '').split(',').filter(Boolean);
+}
+
+function setListParam(url, name, values) {
+  if (values.length > 0) {
+    url.searchParams.set(name, values.join(','));
+  } else {
+    url.searchParams.delete(name);
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Search
+ *
+ * Parses the board's search box and matches items against it.
+ * Plain words must each appear in the title, notes or ref code (any case).
+ * "Quoted phrases" count as one word. Operators narrow the search:
+ * - status:waiting - by status (also in_progress, current, done; prefixes work: status:wait)
+ * - zone:home - in a zone whose name starts with the value, or in one of its sub-zones
+ * - ref:OBJ- - ref code starts with the value
+ * Several status: or ref: values match any of them; several zone: values must all match.
+ * An operator with no value yet is ignored, so the board doesn't empty while typing.
+ */
+
+import { STATUSES } from './constants';
+import { itemZoneIds, zoneDescendantIds } from './zones';
+
+const OPERATORS = ['status', 'zone', 'ref'];
+
+// operator:value, operator:"quoted value", "quoted phrase" or word
+// (the value may still be empty while it is being typed)
+const TOKEN_PATTERN = /(\w+):(?:"([^"]*)"|(\S*))|"([^"]*)"|(\S+)/g;
+
+/**
+ * Parse a search query
+ * @param {string} query
+ * @returns {{terms: Array<string>, statuses: Array<string>, zones: Array<string>, refs: Array<string>}}
+ */
+export function parseSearchQuery(query) {
+  const search = { terms: [], statuses: [], zones: [], refs: [] };
+
+  for (const match of (query || '').matchAll(TOKEN_PATTERN)) {
+    const [token, key, quotedValue, value, phrase, word] = match;
+    const operator = key?.toLowerCase();
+
+    if (OPERATORS.includes(operator)) {
+      // An operator without a value yet (status: or zone:") is ignored
+      const operand = (quotedValue ?? value.replace(/^"/, '')).toLowerCase();
+      if (!operand) continue;
+
+      if (operator === 'status') search.statuses.push(operand);
+      if (operator === 'zone') search.zones.push(operand);
+      if (operator === 'ref') search.refs.push(operand);
+    } else {
+      const term = (phrase ?? word ?? token).toLowerCase();
+      if (term) search.terms.push(term);
+    }
+  }
+
+  return search;
+}
+
+/**
+ * Whether a parsed search has anything to match
+ * @param {Object} search - From parseSearchQuery
+ * @returns {boolean}
+ */
+export function isEmptySearch(search) {
+  return search.terms.length === 0 &&
+    search.statuses.length === 0 &&
+    search.zones.length === 0 &&
+    search.refs.length === 0;
+}
+
+/**
+ * Whether an item matches a parsed search
+ * @param {Object} item
+ * @param {Object} search - From parseSearchQuery
+ * @param {Array} zones - All zones, to resolve zone: by name
+ * @returns {boolean}
+ */
+export function matchesSearch(item, search, zones) {
+  if (search.statuses.length > 0 &&
+      !search.statuses.some(value => matchesStatus(item.status, value))) {
+    return false;
+  }
+
+  if (search.refs.length > 0 &&
+      !search.refs.some(value => (item.ref_code || '').toLowerCase().startsWith(value))) {
+    return false;
+  }
+
+  if (search.zones.length > 0) {
+    const zoneIds = itemZoneIds(item);
+    const inZone = (value) => zones
+      .filter(zone => zone.name.toLowerCase().startsWith(value))
+      .some(zone => [zone.id, ...zoneDescendantIds(zones, zone.id)].some(id => zoneIds.includes(id)));
+
+    if (!search.zones.every(inZone)) return false;
+  }
+
+  const text = [item.title, item.notes, item.ref_code].filter(Boolean).join('\n').toLowerCase();
+  return search.terms.every(term => text.includes(term));
+}
+
+/**
+ * Where search terms appear in a text
+ * @param {string} text
+ * @param {Array<string>} terms - Lowercase, from parseSearchQuery
+ * @returns {Array<{start: number, end: number}>} Sorted, without overlaps
+ */
+export function highlightRanges(text, terms) {
+  const lower = (text || '').toLowerCase();
+  const ranges = [];
+
+  for (const term of terms) {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      ranges.push({ start: index, end: index + term.length });
+      index = lower.indexOf(term, index + term.length);
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged.at(-1);
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * A short excerpt of a text around the first search match
+ * @param {string} text
+ * @param {Array<string>} terms
+ * @param {number} radius - Characters kept on each side of the match
+ * @returns {string|null} null if no term appears in the text
+ */
+export function matchSnippet(text, terms, radius = 30) {
+  const [first] = highlightRanges(text, terms);
+  if (!first) return null;
+
+  const start = Math.max(0, first.start - radius);
+  const end = Math.min(text.length, first.end + radius);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+}
+
+function matchesStatus(status, value) {
+  const normalize = (s) => s.replace(/[^a-z]/g, '');
+  return Object.values(STATUSES).includes(status) && normalize(status).startsWith(normalize(value));
+}
@@ -0,0 +1,84 @@
+/**
+ * Storage Adapter
+ *
+ * The data layer talks to storage through a single adapter so the app can run
+ * against Supabase or fully in the browser with the same rules.
+ *
+ * Adapter interface:
+ * - name: string identifying the backend
+ * - from(table): Supabase-style query builder resolving to {data, error}
+ * - rpc(fn, params): call a database function, resolving to {data, error}
+ * - subscribe(table, onChange): row change feed, returns an unsubscribe function.
+ *   onChange receives {eventType: 'INSERT'|'UPDATE'|'DELETE', new, old}
+ *
+ * The backend is chosen by the VITE_STORAGE_ADAPTER environment variable:
+ * - 'supabase' (default): hosted Postgres via the Supabase client
+ * - 'local': in-browser tables persisted to localStorage
+ */
+
+import { createSupabaseAdapter } from './supabaseAdapter';
+import { createLocalAdapter } from './localAdapter';
+
+export const ADAPTERS = {
+  supabase: createSupabaseAdapter,
+  local: createLocalAdapter,
+};
+
+/**
+ * Create an adapter by name
+ * @param {string} name - One of ADAPTERS
+ * @param {Object} options - Passed to the adapter factory
+ */
+export function createStorageAdapter(name, options) {
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown storage adapter: ${name}`);
+  }
+  return factory(options);
+}
+
+let activeAdapter = createStorageAdapter(
+  import.meta.env.VITE_STORAGE_ADAPTER || 'supabase'
+);
+
+/**
+ * Get the active adapter
+ */
+export function getStorage() {
+  return activeAdapter;
+}
+
+/**
+ * Swap the active adapter (e.g. a memory-only local adapter in tests)
+ * @param {Object} adapter
+ */
+export function setStorage(adapter) {
+  activeAdapter = adapter;
+}
+
+/**
+ * Query a table through the active adapter
+ * @param {string} table
+ */
+export function from(table) {
+  return activeAdapter.from(table);
+}
+
+/**
+ * Call a database function through the active adapter
+ * @param {string} fn - Function name (see supabase/migrations)
+ * @param {Object} params
+ */
+export function rpc(fn, params) {
+  return activeAdapter.rpc(fn, params);
+}
+
+/**
+ * Subscribe to row changes on a table through the active adapter
+ * @param {string} table
+ * @param {Function} onChange - Called with {eventType, new, old}
+ * @returns {Function} Unsubscribe
+ */
+export function subscribe(table, onChange) {
+  return activeAdapter.subscribe(table, onChange);
+}
@@ -0,0 +1,391 @@
+/**
+ * Local Storage Adapter
+ *
+ * Runs the data layer entirely in the browser, without Supabase.
+ * Tables are kept in memory and persisted to localStorage (one key per table),
+ * which makes it suitable for demos, offline use and tests.
+ *
+ * Implements the subset of the Supabase query builder used by the data layer:
+ * - Actions: select, insert, update, delete
+ * - Filters: eq, neq, in, is, not (is/eq), contains (arrays), gt, gte, lt, lte
+ * - Modifiers: order, limit, single, maybeSingle
+ *
+ * Database functions called through rpc() are implemented in JS (localFunctions.js)
+ * and run synchronously, so they are atomic like their Postgres counterparts.
+ *
+ * Also provides a stand-in for Supabase Realtime: every write is announced to
+ * subscribers in this tab and, through a BroadcastChannel, in other tabs.
+ */
+
+import { LOCAL_FUNCTIONS } from './localFunctions';
+
+const STORAGE_PREFIX = 'brightly:';
+const CHANGES_CHANNEL = 'brightly:changes';
+
+/**
+ * Create the local adapter
+ * @param {Object} options
+ * @param {Storage|null} options.storage - Web Storage to persist to (default: localStorage, null for memory only)
+ * @returns {{name: string, from: Function, rpc: Function, subscribe: Function}}
+ */
+export function createLocalAdapter({ storage = getDefaultStorage() } = {}) {
+  const tables = new Map();
+  const listeners = new Map();
+
+  // Other tabs only share data when it is persisted
+  const broadcast = storage && typeof BroadcastChannel !== 'undefined'
+    ? new BroadcastChannel(CHANGES_CHANNEL)
+    : null;
+
+  const notify = (table, payloads) => {
+    for (const payload of payloads) {
+      listeners.get(table)?.forEach(listener => listener(payload));
+    }
+  };
+
+  const readTable = (name) => {
+    if (!tables.has(name)) {
+      let rows = [];
+      try {
+        rows = JSON.parse(storage?.getItem(STORAGE_PREFIX + name) || '[]');
+      } catch {
+        rows = [];
+      }
+      tables.set(name, rows);
+    }
+    return tables.get(name);
+  };
+
+  const writeTable = (name, rows) => {
+    tables.set(name, rows);
+    try {
+      storage?.setItem(STORAGE_PREFIX + name, JSON.stringify(rows));
+    } catch {
+      // Storage full or unavailable: keep working from memory
+    }
+  };
+
+  const emit = (table, payloads) => {
+    if (payloads.length === 0) return;
+
+    // Deliver after the writing query resolves, like a network round trip
+    queueMicrotask(() => notify(table, payloads));
+    broadcast?.postMessage({ table, payloads });
+  };
+
+  // Row-level writes shared by queries and local database functions
+
+  const insertRows = (table, newRows) => {
+    const now = new Date().toISOString();
+    const inserted = newRows.map(row => ({
+      id: crypto.randomUUID(),
+      created_at: now,
+      ...row,
+    }));
+    writeTable(table, [...readTable(table), ...inserted]);
+    emit(table, inserted.map(row => changePayload('INSERT', row, {})));
+    return inserted;
+  };
+
+  const updateRows = (table, predicate, patch) => {
+    const updated = [];
+    const changes = [];
+    const next = readTable(table).map(row => {
+      if (!predicate(row)) return row;
+      const changed = { ...row, ...patch };
+      updated.push(changed);
+      changes.push(changePayload('UPDATE', changed, row));
+      return changed;
+    });
+    writeTable(table, next);
+    emit(table, changes);
+    return updated;
+  };
+
+  const deleteRows = (table, predicate) => {
+    const rows = readTable(table);
+    const removed = rows.filter(predicate);
+    writeTable(table, rows.filter(row => !predicate(row)));
+    emit(table, removed.map(row => changePayload('DELETE', {}, row)));
+    return removed;
+  };
+
+  const store = { readTable, insertRows, updateRows, deleteRows };
+
+  if (broadcast) {
+    broadcast.onmessage = ({ data }) => {
+      // Another tab wrote to storage: drop the stale in-memory copy
+      tables.delete(data.table);
+      notify(data.table, data.payloads);
+    };
+  }
+
+  const subscribe = (table, onChange) => {
+    if (!listeners.has(table)) {
+      listeners.set(table, new Set());
+    }
+    listeners.get(table).add(onChange);
+
+    return () => {
+      listeners.get(table).delete(onChange);
+    };
+  };
+
+  const rpc = async (fn, params = {}) => {
+    const implementation = LOCAL_FUNCTIONS[fn];
+    if (!implementation) {
+      return {
+        data: null,
+        error: { code: 'PGRST202', message: `Could not find the function ${fn}` },
+      };
+    }
+
+    try {
+      const data = implementation(store, params);
+      return { data: structuredClone(data), error: null };
+    } catch (err) {
+      return { data: null, error: { code: err.code ?? null, message: err.message } };
+    }
+  };
+
+  return {
+    name: 'local',
+    from: (table) => new LocalQuery(table, store),
+    rpc,
+    subscribe,
+  };
+}
+
+function getDefaultStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Chainable, thenable query against one local table.
+ * Resolves to {data, error} like the Supabase client.
+ */
+class LocalQuery {
+  constructor(table, store) {
+    this.table = table;
+    this.store = store;
+    this.action = 'select';
+    this.payload = null;
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.mode = 'many'; // 'many' | 'single' | 'maybeSingle'
+  }
+
+  // Actions
+
+  select() {
+    if (this.action !== 'select') {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(patch) {
+    this.action = 'update';
+    this.payload = patch;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  // Filters (null never matches a comparison, as in Postgres)
+
+  eq(column, value) {
+    return this.where(row => row[column] === value);
+  }
+
+  neq(column, value) {
+    return this.where(row => row[column] != null && row[column] !== value);
+  }
+
+  in(column, values) {
+    return this.where(row => values.includes(row[column]));
+  }
+
+  is(column, value) {
+    return this.where(row => value === null ? row[column] == null : row[column] === value);
+  }
+
+  contains(column, values) {
+    return this.where(row => Array.isArray(row[column]) && values.every(value => row[column].includes(value)));
+  }
+
+  not(column, operator, value) {
+    if (operator !== 'is' && operator !== 'eq') {
+      throw new Error(`Unsupported operator for not(): ${operator}`);
+    }
+
+    const probe = new LocalQuery(this.table, this.store)[operator](column, value);
+    return this.where(row => !probe.matches(row));
+  }
+
+  gt(column, value) {
+    return this.where(row => row[column] != null && row[column] > value);
+  }
+
+  gte(column, value) {
+    return this.where(row => row[column] != null && row[column] >= value);
+  }
+
+  lt(column, value) {
+    return this.where(row => row[column] != null && row[column] < value);
+  }
+
+  lte(column, value) {
+    return this.where(row => row[column] != null && row[column] <= value);
+  }
+
+  where(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  // Modifiers
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  // Execution
+
+  matches(row) {
+    return this.filters.every(predicate => predicate(row));
+  }
+
+  execute() {
+    const matches = (row) => this.matches(row);
+    let result;
+
+    switch (this.action) {
+      case 'insert': {
+        // IDs are primary keys, as in Postgres
+        const ids = new Set(this.store.readTable(this.table).map(row => row.id));
+        if (this.payload.some(row => ids.has(row.id))) {
+          return {
+            data: null,
+            error: { code: '23505', message: 'duplicate key value violates unique constraint' },
+          };
+        }
+        result = this.store.insertRows(this.table, this.payload);
+        break;
+      }
+
+      case 'update':
+        result = this.store.updateRows(this.table, matches, this.payload);
+        break;
+
+      case 'delete':
+        result = this.store.deleteRows(this.table, matches);
+        break;
+
+      default:
+        result = this.store.readTable(this.table).filter(matches);
+    }
+
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, error: null };
+    }
+
+    result = this.sort(result);
+    if (this.limitCount !== null) {
+      result = result.slice(0, this.limitCount);
+    }
+
+    return this.shape(structuredClone(result));
+  }
+
+  sort(rows) {
+    if (this.orders.length === 0) return rows;
+
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const cmp = compareValues(a[column], b[column], ascending, nullsFirst);
+        if (cmp !== 0) return cmp;
+      }
+      return 0;
+    });
+  }
+
+  shape(rows) {
+    if (this.mode === 'many') {
+      return { data: rows, error: null };
+    }
+
+    if (rows.length > 1 || (this.mode === 'single' && rows.length === 0)) {
+      return {
+        data: null,
+        error: {
+          code: 'PGRST116',
+          message: 'JSON object requested, multiple (or no) rows returned',
+        },
+      };
+    }
+
+    return { data: rows[0] ?? null, error: null };
+  }
+}
+
+/**
+ * Build a change payload shaped like a Supabase Realtime event
+ */
+function changePayload(eventType, newRow, oldRow) {
+  return {
+    eventType,
+    new: structuredClone(newRow),
+    old: structuredClone(oldRow),
+  };
+}
+
+/**
+ * Compare two column values
+ * By default nulls go last when ascending and first when descending (Postgres defaults)
+ */
+function compareValues(a, b, ascending, nullsFirst) {
+  if (a == null && b == null) return 0;
+  if (a == null) return nullsFirst ? -1 : 1;
+  if (b == null) return nullsFirst ? 1 : -1;
+  if (a === b) return 0;
+  const cmp = a < b ? -1 : 1;
+  return ascending ? cmp : -cmp;
+}
@@ -0,0 +1,60 @@
+/**
+ * Local Database Functions
+ *
+ * In-browser counterparts of the Postgres functions in supabase/migrations,
+ * called through the local adapter's rpc().
+ * Each runs synchronously against the local tables, so it is atomic.
+ */
+
+import { rankBetween, compareRanks } from '../rank';
+
+export const LOCAL_FUNCTIONS = {
+  set_item_current: setItemCurrent,
+};
+
+/**
+ * Mirrors public.set_item_current: promote an item to current and move every
+ * other current item to the top of in_progress, in one step.
+ * @returns {{item: Object, previous_current_id: string|null}}
+ */
+function setItemCurrent({ readTable, updateRows }, { p_item_id }) {
+  const items = readTable('items');
+
+  if (!items.some(item => item.id === p_item_id)) {
+    throw databaseError('P0002', `Item ${p_item_id} not found`);
+  }
+
+  const others = items
+    .filter(item => item.status === 'current' && item.id !== p_item_id)
+    .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+
+  const topItem = items
+    .filter(item => item.status === 'in_progress')
+    .sort(compareRanks)[0];
+
+  const now = new Date().toISOString();
+
+  // Rank each demoted item above the next one, working up from the current top
+  let next = topItem?.rank ?? null;
+  for (let i = others.length - 1; i >= 0; i--) {
+    next = rankBetween(null, next);
+    updateRows('items', row => row.id === others[i].id, {
+      status: 'in_progress',
+      rank: next,
+      updated_at: now,
+    });
+  }
+
+  const [item] = updateRows('items', row => row.id === p_item_id, {
+    status: 'current',
+    updated_at: now,
+  });
+
+  return { item, previous_current_id: others[0]?.id ?? null };
+}
+
+function databaseError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
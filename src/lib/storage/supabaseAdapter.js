@@ -0,0 +1,37 @@
+/**
+ * Supabase Storage Adapter
+ * 
+ * Backs the data layer with the hosted Supabase Postgres database.
+ */
+
+import { supabase } from '../../supabase';
+
+/**
+ * Create the Supabase adapter
+ * @returns {{name: string, from: Function, rpc: Function, subscribe: Function}}
+ */
+export function createSupabaseAdapter() {
+  return {
+    name: 'supabase',
+    from: (table) => supabase.from(table),
+    rpc: (fn, params) => supabase.rpc(fn, params),
+    subscribe,
+  };
+}
+
+/**
+ * Subscribe to row changes on a table via Supabase Realtime
+ * @param {string} table 
+ * @param {Function} onChange - Called with {eventType, new, old}
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(table, onChange) {
+  const channel = supabase
+    .channel(`${table}-changes-${crypto.randomUUID()}`)
+    .on('postgres_changes', { event: '*', schema: 'public', table }, onChange)
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
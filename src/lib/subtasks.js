@@ -0,0 +1,92 @@
+/**
+ * Subtasks
+ *
+ * An item's checklist is an ordered array stored on the item (items.subtasks):
+ * [{ id, title, done }]. Every edit writes the whole list through updateItem,
+ * so checklist changes are undoable, queued offline and synced like any other edit.
+ *
+ * All functions here are pure and return a new list.
+ */
+
+/**
+ * Subtasks of an item (rows saved before checklists have none)
+ * @param {Object} item
+ * @returns {Array<{id: string, title: string, done: boolean}>}
+ */
+export function itemSubtasks(item) {
+  return item.subtasks ?? [];
+}
+
+/**
+ * Append a subtask
+ * @param {Array} subtasks
+ * @param {string} title
+ * @returns {Array}
+ */
+export function addSubtask(subtasks, title) {
+  return [...subtasks, { id: crypto.randomUUID(), title: title.trim(), done: false }];
+}
+
+/**
+ * Check or uncheck a subtask
+ * @param {Array} subtasks
+ * @param {string} id
+ * @returns {Array}
+ */
+export function toggleSubtask(subtasks, id) {
+  return subtasks.map(subtask =>
+    subtask.id === id ? { ...subtask, done: !subtask.done } : subtask
+  );
+}
+
+/**
+ * Rename a subtask
+ * @param {Array} subtasks
+ * @param {string} id
+ * @param {string} title
+ * @returns {Array}
+ */
+export function renameSubtask(subtasks, id, title) {
+  return subtasks.map(subtask =>
+    subtask.id === id ? { ...subtask, title: title.trim() } : subtask
+  );
+}
+
+/**
+ * Move a subtask to a new position
+ * @param {Array} subtasks
+ * @param {string} id
+ * @param {number} toIndex - Position in the list without the moved subtask
+ * @returns {Array}
+ */
+export function moveSubtask(subtasks, id, toIndex) {
+  const moved = subtasks.find(subtask => subtask.id === id);
+  if (!moved) return subtasks;
+
+  const others = subtasks.filter(subtask => subtask.id !== id);
+  const index = Math.max(0, Math.min(toIndex, others.length));
+  return [...others.slice(0, index), moved, ...others.slice(index)];
+}
+
+/**
+ * Remove a subtask
+ * @param {Array} subtasks
+ * @param {string} id
+ * @returns {Array}
+ */
+export function removeSubtask(subtasks, id) {
+  return subtasks.filter(subtask => subtask.id !== id);
+}
+
+/**
+ * Checklist progress of an item
+ * @param {Object} item
+ * @returns {{done: number, total: number}}
+ */
+export function subtaskProgress(item) {
+  const subtasks = itemSubtasks(item);
+  return {
+    done: subtasks.filter(subtask => subtask.done).length,
+    total: subtasks.length,
+  };
+}
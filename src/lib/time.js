@@ -0,0 +1,66 @@
+/**
+ * Time Helpers
+ * 
+ * Formatting for durations and timestamps shown in the UI.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Format a duration compactly, using its two largest units
+ * e.g. "3d 2h", "2h 15m", "45m", "<1m"
+ * @param {number} ms 
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  if (ms < MINUTE) return '<1m';
+
+  const days = Math.floor(ms / DAY);
+  const hours = Math.floor((ms % DAY) / HOUR);
+  const minutes = Math.floor((ms % HOUR) / MINUTE);
+
+  if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  return `${minutes}m`;
+}
+
+/**
+ * Format a running duration as a clock, e.g. "12:05" or "1:02:03"
+ * @param {number} ms 
+ * @returns {string}
+ */
+export function formatElapsed(ms) {
+  const totalSeconds = Math.floor(Math.max(0, ms) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+    : `${minutes}:${pad(seconds)}`;
+}
+
+/**
+ * Format how far away a due time is, in its largest unit
+ * e.g. "in 2h", "in 3d", "due now", "overdue 3d"
+ * @param {number} dueAt - Timestamp
+ * @param {number} now - Timestamp
+ * @returns {string}
+ */
+export function formatDueRelative(dueAt, now) {
+  const diff = dueAt - now;
+  const distance = Math.abs(diff);
+
+  if (distance < MINUTE) return 'due now';
+
+  const amount = distance >= DAY
+    ? `${Math.floor(distance / DAY)}d`
+    : distance >= HOUR
+      ? `${Math.floor(distance / HOUR)}h`
+      : `${Math.floor(distance / MINUTE)}m`;
+
+  return diff > 0 ? `in ${amount}` : `overdue ${amount}`;
+}
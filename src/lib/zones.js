@@ -3,63 +3,380 @@
  * 
  * Zones are filters only, never containers.
  * Removing a zone never removes the item.
+ * Zones have a color and a manual order (fractional rank, see ./rank).
+ * An item can be in any number of zones (items.zone_ids).
+ * Zones nest (parent_id): filtering by a zone includes its descendants.
+ * Deleting or merging a zone moves its children up to take its place.
  */
 
-import { supabase } from '../supabase';
+import { from } from './storage';
+import { rankBetween } from './rank';
+
+// Palette offered in the zone manager
+export const ZONE_COLORS = [
+  '#0EA5E9', // sky
+  '#22C55E', // green
+  '#EAB308', // yellow
+  '#F97316', // orange
+  '#EF4444', // red
+  '#EC4899', // pink
+  '#A855F7', // purple
+  '#737373', // gray
+];
+
+/**
+ * Zone IDs of an item
+ * Falls back to the deprecated single zone_id for rows saved before zone_ids existed.
+ * @param {Object} item 
+ * @returns {Array<string>}
+ */
+export function itemZoneIds(item) {
+  return item.zone_ids ?? (item.zone_id ? [item.zone_id] : []);
+}
 
 /**
- * Fetch all zones
+ * Zones in tree order: each zone followed by its children (siblings by rank)
+ * Zones whose parent is missing are treated as top-level.
+ * @param {Array} zones - In manual order
+ * @returns {Array<{zone: Object, depth: number, hasChildren: boolean}>}
+ */
+export function buildZoneTree(zones) {
+  const ids = new Set(zones.map(zone => zone.id));
+  const childrenOf = new Map();
+
+  for (const zone of zones) {
+    const parentId = ids.has(zone.parent_id) ? zone.parent_id : null;
+    if (!childrenOf.has(parentId)) {
+      childrenOf.set(parentId, []);
+    }
+    childrenOf.get(parentId).push(zone);
+  }
+
+  const rows = [];
+  const visit = (parentId, depth) => {
+    for (const zone of childrenOf.get(parentId) ?? []) {
+      rows.push({ zone, depth, hasChildren: childrenOf.has(zone.id) });
+      visit(zone.id, depth + 1);
+    }
+  };
+  visit(null, 0);
+
+  return rows;
+}
+
+/**
+ * Full name of a zone, e.g. "Work › Client A › Project X"
+ * @param {Array} zones 
+ * @param {string} zoneId 
+ * @returns {string}
+ */
+export function zonePath(zones, zoneId) {
+  const names = [];
+  let zone = zones.find(z => z.id === zoneId);
+
+  while (zone && names.length <= zones.length) {
+    names.unshift(zone.name);
+    zone = zones.find(z => z.id === zone.parent_id);
+  }
+
+  return names.join(' › ');
+}
+
+/**
+ * Zones as FilterDropdown options, in tree order
+ * @param {Array} zones 
+ * @returns {Array<{id: string, name: string, parentId: string|null}>}
+ */
+export function zoneFilterOptions(zones) {
+  return buildZoneTree(zones).map(({ zone, depth }) => ({
+    id: zone.id,
+    name: zone.name,
+    parentId: depth > 0 ? zone.parent_id : null,
+  }));
+}
+
+/**
+ * IDs of a zone's descendants (children, grandchildren, ...)
+ * @param {Array} zones 
+ * @param {string} zoneId 
+ * @returns {Array<string>}
+ */
+export function zoneDescendantIds(zones, zoneId) {
+  const descendants = [];
+  const queue = [zoneId];
+
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    for (const zone of zones) {
+      if (zone.parent_id === parentId && !descendants.includes(zone.id)) {
+        descendants.push(zone.id);
+        queue.push(zone.id);
+      }
+    }
+  }
+
+  return descendants;
+}
+
+/**
+ * Whether an item passes a zone filter
+ * A selected zone matches items in it or in any of its descendants.
+ * @param {Object} item 
+ * @param {Array<string>} selectedIds - Selected zones (none means no filter)
+ * @param {Array} zones - All zones
+ * @param {string} mode - 'any': in at least one selected zone, 'all': in every selected zone
+ * @returns {boolean}
+ */
+export function matchesZoneFilter(item, selectedIds, zones, mode = 'any') {
+  if (selectedIds.length === 0) return true;
+
+  const zoneIds = itemZoneIds(item);
+  const inZone = (id) => [id, ...zoneDescendantIds(zones, id)].some(zoneId => zoneIds.includes(zoneId));
+
+  return mode === 'all' ? selectedIds.every(inZone) : selectedIds.some(inZone);
+}
+
+/**
+ * Fetch all zones in their manual order
  * @returns {Promise<{data: Array, error: Object}>}
  */
 export async function fetchZones() {
-  return supabase
-    .from('zones')
+  return from('zones')
     .select('*')
+    .order('rank', { ascending: true })
     .order('name', { ascending: true });
 }
 
 /**
- * Create a new zone
+ * Create a new zone at the end of the list
  * @param {string} name 
+ * @param {Object} options
+ * @param {string} options.color - Optional, hex color (e.g. one of ZONE_COLORS)
  * @returns {Promise<{data: Object, error: Object}>}
  */
-export async function createZone(name) {
+export async function createZone(name, { color = null } = {}) {
   if (!name || !name.trim()) {
     return { data: null, error: { message: 'Zone name is required' } };
   }
 
-  return supabase
-    .from('zones')
+  if (color && !isValidColor(color)) {
+    return { data: null, error: { message: `Invalid color: ${color}` } };
+  }
+
+  const { data: lastZone } = await from('zones')
+    .select('rank')
+    .order('rank', { ascending: false, nullsFirst: false })
+    .limit(1)
+    .maybeSingle();
+
+  return from('zones')
     .insert({ 
       name: name.trim(),
+      color,
+      rank: rankBetween(lastZone?.rank ?? null, null),
       created_at: new Date().toISOString()
     })
     .select()
     .single();
 }
 
+/**
+ * Rename or recolor a zone
+ * @param {string} id 
+ * @param {Object} updates
+ * @param {string} updates.name - Optional
+ * @param {string|null} updates.color - Optional, hex color or null for none
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function updateZone(id, { name, color } = {}) {
+  const safeUpdates = {};
+
+  if (name !== undefined) {
+    if (!name || !name.trim()) {
+      return { data: null, error: { message: 'Zone name is required' } };
+    }
+    safeUpdates.name = name.trim();
+  }
+
+  if (color !== undefined) {
+    if (color !== null && !isValidColor(color)) {
+      return { data: null, error: { message: `Invalid color: ${color}` } };
+    }
+    safeUpdates.color = color;
+  }
+
+  if (Object.keys(safeUpdates).length === 0) {
+    return { data: null, error: { message: 'No valid fields to update' } };
+  }
+
+  return from('zones')
+    .update(safeUpdates)
+    .eq('id', id)
+    .select()
+    .single();
+}
+
+/**
+ * Move a zone to a new position
+ * @param {string} id 
+ * @param {string} rank - New rank, between its new neighbours
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function moveZone(id, rank) {
+  return from('zones')
+    .update({ rank })
+    .eq('id', id)
+    .select()
+    .single();
+}
+
+/**
+ * Nest a zone under another zone (or make it top-level)
+ * @param {string} id 
+ * @param {string|null} parentId 
+ * @param {string} rank - Position among its new siblings
+ * @returns {Promise<{data: Object, error: Object}>}
+ */
+export async function setZoneParent(id, parentId, rank) {
+  if (parentId) {
+    const { data: zones, error } = await fetchZones();
+    if (error) {
+      return { data: null, error };
+    }
+
+    if (parentId === id || zoneDescendantIds(zones, id).includes(parentId)) {
+      return { data: null, error: { message: 'A zone cannot be nested inside itself' } };
+    }
+  }
+
+  return from('zones')
+    .update({ parent_id: parentId, rank })
+    .eq('id', id)
+    .select()
+    .single();
+}
+
+/**
+ * Merge one zone into another
+ * Items and child zones of the source move to the target, then the source is deleted.
+ * @param {string} sourceId - Zone to merge away
+ * @param {string} targetId - Zone that remains
+ * @returns {Promise<{success: boolean, error: Object}>}
+ */
+export async function mergeZones(sourceId, targetId) {
+  if (sourceId === targetId) {
+    return { success: false, error: { message: 'Cannot merge a zone into itself' } };
+  }
+
+  const { data: zones, error: fetchError } = await fetchZones();
+  if (fetchError) {
+    return { success: false, error: fetchError };
+  }
+
+  if (zoneDescendantIds(zones, sourceId).includes(targetId)) {
+    return { success: false, error: { message: 'Cannot merge a zone into one of its descendants' } };
+  }
+
+  const moveError = await replaceZoneInItems(sourceId, targetId) ??
+    await reparentChildren(sourceId, targetId);
+
+  if (moveError) {
+    return { success: false, error: moveError };
+  }
+
+  const { error } = await from('zones')
+    .delete()
+    .eq('id', sourceId);
+
+  return { success: !error, error };
+}
+
 /**
  * Delete a zone
- * Note: This does NOT delete items in the zone - they remain with zone_id = null
+ * Note: This does NOT delete items in the zone - they just leave it.
+ * Child zones are kept and move up to the deleted zone's parent.
  * @param {string} id 
  * @returns {Promise<{success: boolean, error: Object}>}
  */
 export async function deleteZone(id) {
-  // First, clear zone_id from all items in this zone
-  const { error: clearError } = await supabase
-    .from('items')
-    .update({ zone_id: null, updated_at: new Date().toISOString() })
-    .eq('zone_id', id);
+  const { data: zone, error: fetchError } = await from('zones')
+    .select('id, parent_id')
+    .eq('id', id)
+    .single();
+
+  if (fetchError) {
+    return { success: false, error: fetchError };
+  }
+
+  // First, remove the zone from all items in it and hand its children to its parent
+  const clearError = await replaceZoneInItems(id, null) ??
+    await reparentChildren(id, zone.parent_id ?? null);
 
   if (clearError) {
     return { success: false, error: clearError };
   }
 
   // Then delete the zone
-  const { error } = await supabase
-    .from('zones')
+  const { error } = await from('zones')
     .delete()
     .eq('id', id);
 
   return { success: !error, error };
 }
+
+/**
+ * Move the children of a zone under another parent
+ * @param {string} zoneId 
+ * @param {string|null} parentId - null to make them top-level
+ * @returns {Promise<Object|null>} Error, if any
+ */
+async function reparentChildren(zoneId, parentId) {
+  const { error } = await from('zones')
+    .update({ parent_id: parentId })
+    .eq('parent_id', zoneId);
+
+  return error;
+}
+
+/**
+ * Swap one zone for another (or remove it) on every item in it
+ * @param {string} zoneId 
+ * @param {string|null} replacementId - null to just remove the zone
+ * @returns {Promise<Object|null>} Error, if any
+ */
+async function replaceZoneInItems(zoneId, replacementId) {
+  const now = new Date().toISOString();
+
+  // Rows from before zone_ids only have the deprecated zone_id
+  const { error: legacyError } = await from('items')
+    .update({ zone_id: replacementId, updated_at: now })
+    .eq('zone_id', zoneId);
+
+  if (legacyError) {
+    return legacyError;
+  }
+
+  const { data: items, error: findError } = await from('items')
+    .select('id, zone_ids')
+    .contains('zone_ids', [zoneId]);
+
+  if (findError) {
+    return findError;
+  }
+
+  const results = await Promise.all(items.map(item => {
+    const zoneIds = item.zone_ids.map(id => id === zoneId ? replacementId : id);
+    return from('items')
+      .update({
+        zone_ids: [...new Set(zoneIds.filter(Boolean))],
+        updated_at: now
+      })
+      .eq('id', item.id);
+  }));
+
+  return results.find(r => r.error)?.error ?? null;
+}
+
+function isValidColor(color) {
+  return /^#[0-9a-f]{6}$/i.test(color);
+}
@@ -0,0 +1,9 @@
+-- Broadcast row changes on items and zones to subscribed clients
+-- (multi-tab / multi-device sync).
+
+alter publication supabase_realtime add table public.items, public.zones;
+
+-- Include full old rows in UPDATE/DELETE events so clients can tell
+-- which item and zone a change came from.
+alter table public.items replica identity full;
+alter table public.zones replica identity full;
@@ -0,0 +1,81 @@
+-- Atomic single-current enforcement.
+--
+-- Swapping the current item used to take three round trips from the client
+-- (find current, demote it, promote the new one), so two quick clicks could
+-- leave two current items, or none.
+
+-- Repair any existing violations: keep the most recently updated current item.
+with ranked as (
+  select id, row_number() over (order by updated_at desc) as position
+  from public.items
+  where status = 'current'
+)
+update public.items
+set status = 'in_progress', updated_at = now()
+where id in (select id from ranked where position > 1);
+
+-- At most one row may be current.
+create unique index if not exists items_single_current
+  on public.items ((status))
+  where status = 'current';
+
+-- Promote an item to current and move every other current item to the top of
+-- in_progress, in one transaction.
+create or replace function public.set_item_current(p_item_id uuid)
+returns json
+language plpgsql
+as $$
+declare
+  v_item public.items;
+  v_previous_id uuid;
+  v_top_order public.items.priority_order%type;
+  v_demoted integer;
+begin
+  -- Serialize concurrent swaps
+  perform pg_advisory_xact_lock(hashtext('public.items.current'));
+
+  if not exists (select 1 from public.items where id = p_item_id) then
+    raise exception 'Item % not found', p_item_id using errcode = 'P0002';
+  end if;
+
+  select id into v_previous_id
+  from public.items
+  where status = 'current' and id <> p_item_id
+  order by updated_at desc
+  limit 1;
+
+  select count(*) into v_demoted
+  from public.items
+  where status = 'current' and id <> p_item_id;
+
+  if v_demoted > 0 then
+    select min(priority_order) into v_top_order
+    from public.items
+    where status = 'in_progress';
+
+    v_top_order := coalesce(v_top_order, v_demoted + 1);
+
+    with demoted as (
+      select id, row_number() over (order by updated_at desc) as position
+      from public.items
+      where status = 'current' and id <> p_item_id
+    )
+    update public.items i
+    set status = 'in_progress',
+        priority_order = v_top_order - v_demoted + demoted.position - 1,
+        updated_at = now()
+    from demoted
+    where i.id = demoted.id;
+  end if;
+
+  update public.items
+  set status = 'current', updated_at = now()
+  where id = p_item_id
+  returning * into v_item;
+
+  return json_build_object(
+    'item', row_to_json(v_item),
+    'previous_current_id', v_previous_id
+  );
+end;
+$$;
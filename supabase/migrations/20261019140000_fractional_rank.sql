@@ -0,0 +1,119 @@
+-- Fractional ranking.
+--
+-- Items are ordered by a lexicographic `rank` key (see src/lib/rank.js)
+-- instead of integer priority_order positions, so a drag only writes the item
+-- that moved. Keys are base-62 fractions and must compare byte-wise, hence the
+-- "C" collation.
+
+alter table public.items add column if not exists rank text collate "C";
+
+-- Backfill from the old order: fixed-width digits keep the order, the trailing
+-- 'V' keeps keys from ending in '0'. Clients rebalance to shorter keys later.
+with ordered as (
+  select id, row_number() over (order by priority_order, created_at) as position
+  from public.items
+)
+update public.items i
+set rank = lpad(ordered.position::text, 8, '0') || 'V'
+from ordered
+where i.id = ordered.id and i.rank is null;
+
+alter table public.items alter column rank set not null;
+create index if not exists items_rank on public.items (rank);
+
+-- priority_order is no longer written.
+alter table public.items alter column priority_order drop not null;
+comment on column public.items.priority_order is 'Deprecated: replaced by rank';
+
+-- Key sorting before the given key (or the middle key when null).
+-- Mirrors rankBetween(null, key) in src/lib/rank.js.
+create or replace function public.rank_before(p_rank text)
+returns text
+language plpgsql
+immutable
+as $$
+declare
+  v_digits constant text := '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+  v_prefix text := '';
+  v_rest text := p_rank;
+  v_digit integer;
+begin
+  if p_rank is null or p_rank = '' then
+    return 'V';
+  end if;
+
+  -- Leading zeros are shared with the empty key
+  while left(v_rest, 1) = '0' loop
+    v_prefix := v_prefix || '0';
+    v_rest := substr(v_rest, 2);
+  end loop;
+
+  v_digit := strpos(v_digits, left(v_rest, 1)) - 1;
+
+  if v_digit > 1 then
+    return v_prefix || substr(v_digits, round(v_digit / 2.0)::integer + 1, 1);
+  end if;
+
+  if length(v_rest) > 1 then
+    return v_prefix || left(v_rest, 1);
+  end if;
+
+  return v_prefix || '0V';
+end;
+$$;
+
+-- Same swap as before, ranking demoted items above the first in_progress item.
+create or replace function public.set_item_current(p_item_id uuid)
+returns json
+language plpgsql
+as $$
+declare
+  v_item public.items;
+  v_previous_id uuid;
+  v_next text;
+  v_other record;
+begin
+  -- Serialize concurrent swaps
+  perform pg_advisory_xact_lock(hashtext('public.items.current'));
+
+  if not exists (select 1 from public.items where id = p_item_id) then
+    raise exception 'Item % not found', p_item_id using errcode = 'P0002';
+  end if;
+
+  select id into v_previous_id
+  from public.items
+  where status = 'current' and id <> p_item_id
+  order by updated_at desc
+  limit 1;
+
+  select rank into v_next
+  from public.items
+  where status = 'in_progress'
+  order by rank
+  limit 1;
+
+  -- Work up from the current top, so the most recent current ends up first
+  for v_other in
+    select id
+    from public.items
+    where status = 'current' and id <> p_item_id
+    order by updated_at asc
+  loop
+    v_next := public.rank_before(v_next);
+
+    update public.items
+    set status = 'in_progress', rank = v_next, updated_at = now()
+    where id = v_other.id;
+  end loop;
+
+  update public.items
+  set status = 'current', updated_at = now()
+  where id = p_item_id
+  returning * into v_item;
+
+  return json_build_object(
+    'item', row_to_json(v_item),
+    'previous_current_id', v_previous_id
+  );
+end;
+$$;
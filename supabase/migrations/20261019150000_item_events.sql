@@ -0,0 +1,20 @@
+-- Append-only activity log per item: creation, status changes and edits.
+-- Powers the history timeline (time in each status, interruptions).
+
+create table public.item_events (
+  id uuid primary key default gen_random_uuid(),
+  item_id uuid not null references public.items (id) on delete cascade,
+  type text not null check (type in ('created', 'status_changed', 'updated')),
+  from_status text,
+  to_status text,
+  -- Edited fields as { field: { from, to } }
+  changes jsonb,
+  -- For status changes caused by another item (e.g. demoted when it became current)
+  related_item_id uuid references public.items (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index item_events_item_id_created_at on public.item_events (item_id, created_at);
+
+alter publication supabase_realtime add table public.item_events;
+alter table public.item_events replica identity full;
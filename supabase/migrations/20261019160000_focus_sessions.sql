@@ -0,0 +1,21 @@
+-- Focus sessions: stretches of time an item spent as the current item.
+-- Opened when an item becomes current, closed when it leaves current.
+
+create table public.focus_sessions (
+  id uuid primary key default gen_random_uuid(),
+  item_id uuid not null references public.items (id) on delete cascade,
+  started_at timestamptz not null default now(),
+  -- Null while the session is running
+  ended_at timestamptz,
+  created_at timestamptz not null default now(),
+  check (ended_at is null or ended_at >= started_at)
+);
+
+create index focus_sessions_item_id_started_at on public.focus_sessions (item_id, started_at);
+
+-- At most one running session per item
+create unique index focus_sessions_single_open on public.focus_sessions (item_id)
+  where ended_at is null;
+
+alter publication supabase_realtime add table public.focus_sessions;
+alter table public.focus_sessions replica identity full;
@@ -0,0 +1,23 @@
+-- Interruption stack: which item replaced which as current, and why.
+-- Finishing the interrupting item offers to resume the interrupted one.
+
+create table public.interruptions (
+  id uuid primary key default gen_random_uuid(),
+  -- The item that was interrupted
+  item_id uuid not null references public.items (id) on delete cascade,
+  -- The item that took over as current
+  interrupted_by_id uuid not null references public.items (id) on delete cascade,
+  reason text,
+  created_at timestamptz not null default now(),
+  -- Set once popped (interrupting item done) or the interrupted item is current again
+  resolved_at timestamptz
+);
+
+create index interruptions_open on public.interruptions (created_at)
+  where resolved_at is null;
+
+alter publication supabase_realtime add table public.interruptions;
+alter table public.interruptions replica identity full;
+
+-- Interruption reasons are shown in the item history
+alter table public.item_events add column reason text;
@@ -0,0 +1,12 @@
+-- Soft delete: deleted items go to the trash (deleted_at) and are purged
+-- by the app once they are older than the retention period.
+
+alter table public.items add column deleted_at timestamptz;
+
+create index items_deleted_at on public.items (deleted_at)
+  where deleted_at is not null;
+
+-- Trash moves are part of the item history
+alter table public.item_events drop constraint item_events_type_check;
+alter table public.item_events add constraint item_events_type_check
+  check (type in ('created', 'status_changed', 'updated', 'deleted', 'restored'));
@@ -0,0 +1,18 @@
+-- Zone manager: zones get a color and a manual order.
+-- Ranks are fractional keys like items.rank (compared with the "C" collation).
+
+alter table public.zones add column color text
+  check (color is null or color ~ '^#[0-9A-Fa-f]{6}$');
+alter table public.zones add column rank text collate "C";
+
+-- Keep the current alphabetical order as the initial manual order
+with ordered as (
+  select id, row_number() over (order by name) as n
+  from public.zones
+)
+update public.zones z
+set rank = lpad(ordered.n::text, 8, '0') || 'V'
+from ordered
+where z.id = ordered.id;
+
+create index zones_rank on public.zones (rank);
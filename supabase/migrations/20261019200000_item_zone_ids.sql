@@ -0,0 +1,30 @@
+-- Items can be in several zones: zones become a zone_ids array on items.
+-- zone_id is backfilled into zone_ids and kept only for older clients (deprecated).
+
+alter table public.items add column zone_ids uuid[] not null default '{}';
+
+update public.items
+set zone_ids = array[zone_id]
+where zone_id is not null;
+
+create index items_zone_ids on public.items using gin (zone_ids);
+
+comment on column public.items.zone_id is
+  'Deprecated: use zone_ids. Only written by clients from before multiple zones.';
+
+-- Deleting a zone removes it from every item, even if the client didn't
+create or replace function public.remove_zone_from_items()
+returns trigger
+language plpgsql
+as $$
+begin
+  update public.items
+  set zone_ids = array_remove(zone_ids, old.id), updated_at = now()
+  where old.id = any(zone_ids);
+  return old;
+end;
+$$;
+
+create trigger zones_remove_from_items
+  before delete on public.zones
+  for each row execute function public.remove_zone_from_items();
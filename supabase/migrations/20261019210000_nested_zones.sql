@@ -0,0 +1,27 @@
+-- Zones can be nested (e.g. Work > Client A > Project X).
+-- Filtering by a zone includes its descendants; that is resolved by the client.
+
+alter table public.zones
+  add column parent_id uuid references public.zones(id) on delete set null;
+
+alter table public.zones
+  add constraint zones_parent_not_self check (parent_id is null or parent_id <> id);
+
+create index zones_parent_id on public.zones (parent_id);
+
+-- Deleting a zone moves its children up to its parent, even if the client didn't
+create or replace function public.reparent_zone_children()
+returns trigger
+language plpgsql
+as $$
+begin
+  update public.zones
+  set parent_id = old.parent_id
+  where parent_id = old.id;
+  return old;
+end;
+$$;
+
+create trigger zones_reparent_children
+  before delete on public.zones
+  for each row execute function public.reparent_zone_children();
@@ -0,0 +1,7 @@
+-- Checklists: ordered subtasks stored on the item as [{id, title, done}].
+-- Kept on the row so checklist edits sync, undo and replay like any other item edit.
+
+alter table public.items add column subtasks jsonb not null default '[]';
+
+alter table public.items
+  add constraint items_subtasks_is_array check (jsonb_typeof(subtasks) = 'array');
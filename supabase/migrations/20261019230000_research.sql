@@ -0,0 +1,10 @@
+-- Research items: a reading list and findings, stored on the item like subtasks.
+-- sources: [{id, url, title, type, read}]
+-- findings: [{id, source_id, text, created_at}] (source_id null for general findings)
+
+alter table public.items add column sources jsonb not null default '[]';
+alter table public.items add column findings jsonb not null default '[]';
+
+alter table public.items
+  add constraint items_sources_is_array check (jsonb_typeof(sources) = 'array'),
+  add constraint items_findings_is_array check (jsonb_typeof(findings) = 'array');
@@ -0,0 +1,12 @@
+-- Recurring reminders. Finishing a recurring item creates its next occurrence.
+-- recurrence: {type: 'daily'|'weekly'|'monthly'|'after', interval, days}
+-- series_id: first occurrence of the series; previous_occurrence_id: the one it follows
+
+alter table public.items add column recurrence jsonb;
+alter table public.items add column series_id uuid references public.items (id) on delete set null;
+alter table public.items add column previous_occurrence_id uuid references public.items (id) on delete set null;
+
+create index items_series_id on public.items (series_id);
+
+-- At most one next occurrence per item, even with replayed or concurrent edits
+create unique index items_previous_occurrence_id on public.items (previous_occurrence_id);
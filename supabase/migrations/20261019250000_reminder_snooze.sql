@@ -0,0 +1,4 @@
+-- Snoozed reminders alert again at snoozed_until instead of their due date.
+-- Cleared when the due date changes.
+
+alter table public.items add column snoozed_until timestamptz;
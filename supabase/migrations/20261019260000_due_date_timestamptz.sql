@@ -0,0 +1,36 @@
+-- Due dates get a time of day and a time zone.
+-- A plain date has no time zone, so it can't be turned into a moment here without
+-- moving the day somewhere: saved dates become noon UTC, which is still the same
+-- calendar day from UTC-12 to UTC+11, and are flagged with due_date_unzoned.
+-- The app then moves flagged dates to that day at the reminder hour in the
+-- user's local time and clears the flag (see localizeDueDate in src/lib/dueDates.js).
+
+alter table public.items add column if not exists due_date_unzoned boolean not null default false;
+
+do $$
+declare
+  current_type text;
+begin
+  select data_type into current_type
+  from information_schema.columns
+  where table_schema = 'public' and table_name = 'items' and column_name = 'due_date';
+
+  if current_type = 'date' then
+    update public.items set due_date_unzoned = true where due_date is not null;
+
+    alter table public.items
+      alter column due_date type timestamptz
+      using (due_date + time '12:00') at time zone 'UTC';
+  elsif current_type <> 'timestamp with time zone' then
+    update public.items set due_date_unzoned = true
+    where due_date::text ~ '^\d{4}-\d{2}-\d{2}$';
+
+    alter table public.items
+      alter column due_date type timestamptz
+      using case
+        when due_date::text ~ '^\d{4}-\d{2}-\d{2}$' then (due_date::date + time '12:00') at time zone 'UTC'
+        else due_date::timestamp at time zone 'UTC'
+      end;
+  end if;
+end;
+$$;
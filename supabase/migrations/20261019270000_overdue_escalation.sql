@@ -0,0 +1,4 @@
+-- Overdue items are escalated once: flagged, and optionally moved to the top of In Progress.
+-- Cleared when the due date changes or the item is snoozed.
+
+alter table public.items add column escalated_at timestamptz;